@@ -1,22 +0,0 @@
-module.exports = {
-  env: {
-    browser: false,
-    es2021: true,
-    node: true,
-  },
-  extends: ["eslint:recommended"],
-  parserOptions: {
-    ecmaVersion: 12,
-    sourceType: "module",
-  },
-  rules: {
-    indent: ["error", 2],
-    "linebreak-style": ["error", "unix"],
-    quotes: ["error", "single"],
-    semi: ["error", "always"],
-    "no-unused-vars": ["warn"],
-    "no-console": "off",
-    "prefer-const": "error",
-    "no-var": "error",
-  },
-};
@@ -0,0 +1,41 @@
+const js = require("@eslint/js");
+const globals = require("globals");
+
+module.exports = [
+  js.configs.recommended,
+  {
+    files: ["**/*.js", "bin/api-sequence-runner"],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: "commonjs",
+      globals: {
+        ...globals.node,
+      },
+    },
+    rules: {
+      // the code is formatted with prettier, so follow its layout
+      indent: [
+        "error",
+        2,
+        {
+          SwitchCase: 1,
+          ignoredNodes: [
+            "ArrowFunctionExpression > ArrowFunctionExpression",
+            "ConditionalExpression *",
+          ],
+        },
+      ],
+      "linebreak-style": ["error", "unix"],
+      quotes: [
+        "error",
+        "double",
+        { avoidEscape: true, allowTemplateLiterals: true },
+      ],
+      semi: ["error", "always"],
+      "no-unused-vars": ["warn"],
+      "no-console": "off",
+      "prefer-const": "error",
+      "no-var": "error",
+    },
+  },
+];
@@ -94,18 +94,29 @@ class ApiClient {
         data: response.data,
       };
     } catch (error) {
-      // transform axios error to a more consistent format
+      // transform axios error to a more consistent format, keeping the
+      // status and error code around so callers can decide whether to retry
+      let requestError;
       if (error.response) {
         // server error response
         const errorMessage = this.formatErrorMessage(error.response);
-        throw new Error(errorMessage);
+        requestError = new Error(errorMessage);
+        requestError.status = error.response.status;
+        requestError.response = {
+          status: error.response.status,
+          statusText: error.response.statusText,
+          headers: error.response.headers,
+          data: error.response.data,
+        };
       } else if (error.request) {
         // network error
-        throw new Error(`Network error: ${error.message}`);
+        requestError = new Error(`Network error: ${error.message}`);
       } else {
         // other error
-        throw new Error(`Request error: ${error.message}`);
+        requestError = new Error(`Request error: ${error.message}`);
       }
+      requestError.code = error.code;
+      throw requestError;
     }
   }
 
@@ -0,0 +1,20 @@
+// run `worker` over every item with at most `limit` calls in flight,
+// resolving with the results in input order (a limit of 0 means no limit)
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const poolSize =
+    limit > 0 ? Math.min(limit, items.length) : Math.max(items.length, 1);
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: poolSize }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
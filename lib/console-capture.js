@@ -0,0 +1,57 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const util = require("util");
+const { hasSecrets, redactText } = require("./secrets");
+
+const CAPTURED_METHODS = ["log", "info", "warn", "error", "debug"];
+const storage = new AsyncLocalStorage();
+let installed = false;
+
+// route console calls made inside a capture into that capture's buffer;
+// everything else still goes straight to the real console
+function installConsoleHooks() {
+  if (installed) {
+    return;
+  }
+  installed = true;
+
+  for (const method of CAPTURED_METHODS) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const buffer = storage.getStore();
+      if (buffer) {
+        // masked now, as the run's secrets are no longer masked by the time
+        // its output is replayed
+        buffer.push({
+          method,
+          args: hasSecrets() ? [redactText(util.format(...args))] : args,
+        });
+      } else {
+        original(...args);
+      }
+    };
+  }
+}
+
+// run `fn` with everything it (and anything it awaits) writes to the console
+// collected instead of printed; resolves with { result, output }
+async function captureConsole(fn) {
+  installConsoleHooks();
+
+  const output = [];
+  try {
+    const result = await storage.run(output, fn);
+    return { result, output };
+  } catch (error) {
+    error.output = output;
+    throw error;
+  }
+}
+
+// print previously captured output to the console in its original order
+function replayConsole(output) {
+  for (const { method, args } of output) {
+    console[method](...args);
+  }
+}
+
+module.exports = { captureConsole, replayConsole };
@@ -0,0 +1,73 @@
+const fs = require("fs");
+const path = require("path");
+
+// KEY=value, KEY="value" or KEY='value', optionally after `export`
+const LINE = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*?)\s*$/;
+
+function parseEnvFile(text) {
+  const variables = {};
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith("#")) {
+      return;
+    }
+
+    const match = LINE.exec(line);
+    if (!match) {
+      throw new Error(`Invalid line ${index + 1}: expected KEY=value`);
+    }
+
+    const [, name, raw] = match;
+    let value;
+    if (raw.startsWith('"')) {
+      const end = raw.slice(1).search(/(?<!\\)"/);
+      if (end === -1) {
+        throw new Error(`Invalid line ${index + 1}: unterminated quote`);
+      }
+      value = raw
+        .slice(1, end + 1)
+        .replace(/\\n/g, "\n")
+        .replace(/\\(["\\])/g, "$1");
+    } else if (raw.startsWith("'")) {
+      const end = raw.indexOf("'", 1);
+      if (end === -1) {
+        throw new Error(`Invalid line ${index + 1}: unterminated quote`);
+      }
+      value = raw.slice(1, end);
+    } else {
+      // unquoted values end at an inline comment
+      value = raw.replace(/\s+#.*$/, "");
+    }
+
+    variables[name] = value;
+  });
+
+  return variables;
+}
+
+// load a .env file into process.env; variables that are already set win, so
+// CI settings can override the file. Returns the names it set
+function loadEnvFile(filePath) {
+  const fullPath = path.resolve(filePath);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Env file not found: ${fullPath}`);
+  }
+
+  let variables;
+  try {
+    variables = parseEnvFile(fs.readFileSync(fullPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to read env file ${fullPath}: ${error.message}`);
+  }
+
+  const loaded = [];
+  for (const [name, value] of Object.entries(variables)) {
+    if (process.env[name] === undefined) {
+      process.env[name] = value;
+      loaded.push(name);
+    }
+  }
+  return loaded;
+}
+
+module.exports = { loadEnvFile, parseEnvFile };
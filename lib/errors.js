@@ -0,0 +1,37 @@
+// thrown by runScenarioConfig when a scenario fails or is aborted. `result`
+// is the same structured run result a passing run resolves with, so callers
+// can see which step broke, what it sent and what came back
+class ScenarioFailedError extends Error {
+  constructor(message, result, options = {}) {
+    super(message, options);
+    this.name = "ScenarioFailedError";
+    this.result = result;
+    this.aborted = result.status === "aborted";
+
+    // shortcuts kept for callers that read them off the error directly
+    this.results = result.results;
+    this.teardownResults = result.teardown;
+    this.context = result.context;
+    this.rows = result.rows;
+  }
+
+  // step result records (nested ones included) that failed or were aborted
+  get failedSteps() {
+    const failed = [];
+    const collect = (records = []) => {
+      for (const record of records) {
+        if (record.status === "failed" || record.status === "aborted") {
+          failed.push(record);
+        }
+        collect(record.children);
+        collect(record.teardown);
+      }
+    };
+
+    collect(this.results);
+    collect(this.teardownResults);
+    return failed;
+  }
+}
+
+module.exports = { ScenarioFailedError };
@@ -1,3 +1,6 @@
+const { random, randomInt, pick, randomString } = require("./random");
+const { getLocale } = require("./locale-data");
+
 class Extractor {
   constructor() {
     this.builtInExtractors = {
@@ -277,24 +280,12 @@ class Extractor {
 
       if (typeof condition === "object" && condition !== null) {
         // simple condition object { path: "data.status", equals: "success" }
-        if (condition.path && condition.equals !== undefined) {
-          const value = this.extractByPath(condition.path, response);
-          return value === condition.equals;
-        }
-
-        if (condition.path && condition.notEquals !== undefined) {
+        if (condition.path) {
           const value = this.extractByPath(condition.path, response);
-          return value !== condition.notEquals;
-        }
-
-        if (condition.path && condition.matches) {
-          const value = this.extractByPath(condition.path, response);
-          return typeof value === "string" && condition.matches.test(value);
-        }
-
-        if (condition.path && condition.exists !== undefined) {
-          const value = this.extractByPath(condition.path, response);
-          return condition.exists ? value !== undefined : value === undefined;
+          const matched = this.matchesCondition(value, condition);
+          if (matched !== undefined) {
+            return matched;
+          }
         }
 
         if (condition.status) {
@@ -314,6 +305,33 @@ class Extractor {
     }
   }
 
+  // apply the value checks of a condition object (equals, notEquals,
+  // matches, exists) to an already resolved value; returns undefined when
+  // the condition carries none of them
+  matchesCondition(value, condition) {
+    if (condition.equals !== undefined) {
+      return value === condition.equals;
+    }
+
+    if (condition.notEquals !== undefined) {
+      return value !== condition.notEquals;
+    }
+
+    if (condition.matches) {
+      const regex =
+        typeof condition.matches === "string"
+          ? new RegExp(condition.matches)
+          : condition.matches;
+      return typeof value === "string" && regex.test(value);
+    }
+
+    if (condition.exists !== undefined) {
+      return condition.exists ? value !== undefined : value === undefined;
+    }
+
+    return undefined;
+  }
+
   // static helper methods for creating common extractors
   static createExtractors() {
     return {
@@ -588,17 +606,82 @@ class Extractor {
   }
 }
 
-// random data generators
+// random data generators. They all draw from lib/random, so a run repeated
+// with the same --seed gets the same data
+const DIGITS = "0123456789";
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const HEX = "0123456789abcdef";
+
+const LOREM_WORDS = (
+  "lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod " +
+  "tempor incididunt ut labore et dolore magna aliqua enim ad minim veniam " +
+  "quis nostrud exercitation ullamco laboris nisi aliquip ex ea commodo " +
+  "consequat duis aute irure in reprehenderit voluptate velit esse cillum"
+).split(" ");
+
+// card number prefixes and lengths per brand
+const CARD_BRANDS = {
+  visa: { prefixes: ["4"], length: 16 },
+  mastercard: { prefixes: ["51", "52", "53", "54", "55"], length: 16 },
+  amex: { prefixes: ["34", "37"], length: 15 },
+};
+
+// the account part (BBAN) of an IBAN per country: L = letter, 9 = digit
+const IBAN_FORMATS = {
+  DE: "999999999999999999",
+  GB: "LLLL99999999999999",
+  NL: "LLLL9999999999",
+  FR: "99999999999999999999999",
+  ES: "99999999999999999999",
+};
+
+// the digit that makes `digits` + it pass the Luhn check
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // double every second digit, starting with the one left of the check digit
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// ISO 7064 mod 97-10, with letters counting as 10 (A) to 35 (Z)
+function ibanCheckDigits(country, bban) {
+  const numeric = `${bban}${country}00`.replace(/[A-Z]/g, (letter) =>
+    String(letter.charCodeAt(0) - 55)
+  );
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return String(98 - remainder).padStart(2, "0");
+}
+
+function formatUUID(bytes) {
+  const hex = bytes.map((byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(
+    12,
+    16
+  )}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function randomBytes(count) {
+  return Array.from({ length: count }, () => randomInt(0, 255));
+}
+
 const RandomDataGenerators = {
   randomEmail: (domain = null) => {
     const domains = domain
       ? [domain]
       : ["example.com", "test.com", "demo.org", "sample.net"];
-    const randomDomain = domains[Math.floor(Math.random() * domains.length)];
-
-    return `test-${Date.now()}${Math.floor(
-      Math.random() * 1000
-    )}@${randomDomain}`;
+    return `test-${randomString(13, DIGITS)}@${pick(domains)}`;
   },
 
   randomUserName: () => {
@@ -626,72 +709,20 @@ const RandomDataGenerators = {
       "mock",
       "connection",
     ];
-    const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-    const noun = nouns[Math.floor(Math.random() * nouns.length)];
-    const num = Math.floor(Math.random() * 10000);
-    return `${adj}-${noun}-${num}`;
+    return `${pick(adjectives)}-${pick(nouns)}-${randomInt(0, 9999)}`;
   },
 
-  randomFirstName: () => {
-    const names = [
-      "John",
-      "Jane",
-      "Michael",
-      "Sarah",
-      "David",
-      "Emily",
-      "Robert",
-      "Lisa",
-      "James",
-      "Maria",
-      "William",
-      "Jennifer",
-      "Richard",
-      "Patricia",
-      "Charles",
-      "Linda",
-      "Joseph",
-      "Barbara",
-      "Thomas",
-      "Elizabeth",
-      "Christopher",
-      "Susan",
-    ];
-    return names[Math.floor(Math.random() * names.length)];
-  },
+  randomFirstName: (locale) => pick(getLocale(locale).firstNames),
 
-  randomLastName: () => {
-    const names = [
-      "Smith",
-      "Johnson",
-      "Williams",
-      "Brown",
-      "Jones",
-      "Garcia",
-      "Miller",
-      "Davis",
-      "Rodriguez",
-      "Martinez",
-      "Hernandez",
-      "Lopez",
-      "Gonzalez",
-      "Wilson",
-      "Anderson",
-      "Thomas",
-      "Taylor",
-      "Moore",
-      "Jackson",
-      "Martin",
-    ];
-    return names[Math.floor(Math.random() * names.length)];
-  },
+  randomLastName: (locale) => pick(getLocale(locale).lastNames),
 
-  randomFullName: () => {
-    return `${this.builtInExtractors.randomFirstName()} ${this.builtInExtractors.randomLastName()}`;
-  },
+  randomFullName: (locale) =>
+    `${RandomDataGenerators.randomFirstName(
+      locale
+    )} ${RandomDataGenerators.randomLastName(locale)}`,
 
   randomPhoneNumber: () => {
-    let phoneNumber = `${Math.floor(1000000000 + Math.random() * 9000000000)}`;
+    const phoneNumber = String(randomInt(1000000000, 9999999999));
     // format the number (e.g., (XXX) XXX-XXXX)
     return `(${phoneNumber.substring(0, 3)}) ${phoneNumber.substring(
       3,
@@ -718,9 +749,7 @@ const RandomDataGenerators = {
       "Technologies",
       "Enterprises",
     ];
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
-    return `${prefix} ${suffix}`;
+    return `${pick(prefixes)} ${pick(suffixes)}`;
   },
 
   randomJobTitle: () => {
@@ -738,19 +767,10 @@ const RandomDataGenerators = {
       "DevOps Engineer",
       "QA Engineer",
     ];
-    return titles[Math.floor(Math.random() * titles.length)];
+    return pick(titles);
   },
 
-  randomAlphaNumericCode: () => {
-    const alphaNumeric = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-    let result = "";
-    for (let i = 0; i < 16; i++) {
-      result += alphaNumeric.charAt(
-        Math.floor(Math.random() * alphaNumeric.length)
-      );
-    }
-    return result;
-  },
+  randomAlphaNumericCode: () => randomString(16, `${LETTERS}${DIGITS}`),
 
   randomDescription: () => {
     const descriptions = [
@@ -765,54 +785,18 @@ const RandomDataGenerators = {
       "Gorgeous winery view",
       "Next to nature",
     ];
-    return descriptions[Math.floor(Math.random() * descriptions.length)];
+    return pick(descriptions);
   },
 
-  randomStreetNumber: () => Math.floor(Math.random() * 99999).toString(),
-
-  randomStreetName: () => {
-    const names = [
-      "Main",
-      "Oak",
-      "Elm",
-      "Park",
-      "First",
-      "Second",
-      "Third",
-      "Maple",
-      "Cedar",
-      "Pine",
-    ];
-    const types = ["St", "Ave", "Rd", "Blvd", "Dr", "Ln", "Ct", "Way"];
-    const name = names[Math.floor(Math.random() * names.length)];
-    const type = types[Math.floor(Math.random() * types.length)];
-    return `${name} ${type}`;
-  },
+  randomStreetNumber: () => String(randomInt(0, 99998)),
 
-  randomCity: () => {
-    const cities = [
-      "New York",
-      "Los Angeles",
-      "Chicago",
-      "Houston",
-      "Phoenix",
-      "Philadelphia",
-      "San Antonio",
-      "San Diego",
-      "Dallas",
-      "San Jose",
-      "Austin",
-      "Jacksonville",
-      "Fort Worth",
-      "Columbus",
-      "Charlotte",
-      "San Francisco",
-      "Indianapolis",
-      "Seattle",
-    ];
-    return cities[Math.floor(Math.random() * cities.length)];
+  randomStreetName: (locale) => {
+    const data = getLocale(locale);
+    return data.streetName(pick(data.streetNames), pick(data.streetTypes));
   },
 
+  randomCity: (locale) => pick(getLocale(locale).cities),
+
   randomState: () => {
     const states = [
       "AL",
@@ -867,25 +851,35 @@ const RandomDataGenerators = {
       "WI",
       "WY",
     ];
-    return states[Math.floor(Math.random() * states.length)];
+    return pick(states);
   },
 
-  randomZipCode: () => {
-    const min = 10000; // smallest 5-digit number
-    const max = 99999; // largest 5-digit number
-    const randomNumber = Math.floor(Math.random() * (max - min + 1)) + min;
-    return String(randomNumber).padStart(5, "0"); // pad with leading zeros if less than 5 digits
+  randomZipCode: (locale) => getLocale(locale).postalCode(),
+
+  // { street, city, postalCode, country }, written the way the locale does
+  randomAddress: (locale) => {
+    const data = getLocale(locale);
+    const streetName = data.streetName(
+      pick(data.streetNames),
+      pick(data.streetTypes)
+    );
+    return {
+      street: data.street(streetName, randomInt(1, 199)),
+      city: pick(data.cities),
+      postalCode: data.postalCode(),
+      country: data.country,
+    };
   },
 
   randomDateFuture: (days = 365) => {
     const future = new Date();
-    future.setDate(future.getDate() + Math.floor(Math.random() * days));
+    future.setDate(future.getDate() + Math.floor(random() * days));
     return future.toISOString();
   },
 
   randomDatePast: (days = 365) => {
     const past = new Date();
-    past.setDate(past.getDate() - Math.floor(Math.random() * days));
+    past.setDate(past.getDate() - Math.floor(random() * days));
     return past.toISOString();
   },
 
@@ -893,9 +887,92 @@ const RandomDataGenerators = {
     const start = new Date(startDate);
     const end = new Date(endDate);
     const randomTime =
-      start.getTime() + Math.random() * (end.getTime() - start.getTime());
+      start.getTime() + random() * (end.getTime() - start.getTime());
     return new Date(randomTime).toISOString();
   },
+
+  randomUUID: () => {
+    const bytes = randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // variant 10
+    return formatUUID(bytes);
+  },
+
+  // time-ordered: the first 48 bits are the time in ms, the rest is random
+  randomUUIDv7: (time = Date.now()) => {
+    const bytes = randomBytes(16);
+    const timestamp = new Date(time).getTime();
+    for (let i = 0; i < 6; i++) {
+      bytes[i] = Math.floor(timestamp / 2 ** (8 * (5 - i))) & 0xff;
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x70; // version 7
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // variant 10
+    return formatUUID(bytes);
+  },
+
+  // passes the Luhn check; brand is visa, mastercard or amex
+  randomCardNumber: (brand = "visa") => {
+    const format = CARD_BRANDS[String(brand).toLowerCase()];
+    if (!format) {
+      throw new Error(
+        `Unknown card brand '${brand}' (available: ${Object.keys(
+          CARD_BRANDS
+        ).join(", ")})`
+      );
+    }
+    const prefix = pick(format.prefixes);
+    const digits = `${prefix}${randomString(
+      format.length - prefix.length - 1,
+      DIGITS
+    )}`;
+    return `${digits}${luhnCheckDigit(digits)}`;
+  },
+
+  // with valid check digits; country is DE, GB, NL, FR or ES
+  randomIBAN: (country = "DE") => {
+    const code = String(country).toUpperCase();
+    const format = IBAN_FORMATS[code];
+    if (!format) {
+      throw new Error(
+        `Unsupported IBAN country '${country}' (available: ${Object.keys(
+          IBAN_FORMATS
+        ).join(", ")})`
+      );
+    }
+    const bban = format.replace(/[L9]/g, (kind) =>
+      randomString(1, kind === "L" ? LETTERS : DIGITS)
+    );
+    return `${code}${ibanCheckDigits(code, bban)}${bban}`;
+  },
+
+  // a public-looking unicast address (no 0.x, multicast or broadcast)
+  randomIPv4: () =>
+    [randomInt(1, 223), randomInt(0, 255), randomInt(0, 255), randomInt(1, 254)]
+      .map(String)
+      .join("."),
+
+  randomIPv6: () =>
+    Array.from({ length: 8 }, () => randomString(4, HEX)).join(":"),
+
+  randomUrl: (domain = null) => {
+    const host =
+      domain || `www.${pick(["example.com", "test.com", "demo.org"])}`;
+    return `https://${host}/${pick(LOREM_WORDS)}-${pick(
+      LOREM_WORDS
+    )}/${randomInt(1, 9999)}`;
+  },
+
+  // `words` lorem ipsum words as a sentence
+  randomLorem: (words = 8) => {
+    const text = Array.from({ length: Math.max(Number(words) || 1, 1) }, () =>
+      pick(LOREM_WORDS)
+    ).join(" ");
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+  },
+
+  // a number from min to max with `decimals` decimal places
+  randomPrice: (min = 1, max = 1000, decimals = 2) =>
+    Number((min + random() * (max - min)).toFixed(decimals)),
 };
 
 const extractors = {
@@ -908,13 +985,17 @@ const extractors = {
     func: RandomDataGenerators.randomUserName,
     params: [],
   }),
-  randomFirstName: () => ({
+  randomFirstName: (locale) => ({
     func: RandomDataGenerators.randomFirstName,
-    params: [],
+    params: [locale],
   }),
-  randomLastName: () => ({
+  randomLastName: (locale) => ({
     func: RandomDataGenerators.randomLastName,
-    params: [],
+    params: [locale],
+  }),
+  randomFullName: (locale) => ({
+    func: RandomDataGenerators.randomFullName,
+    params: [locale],
   }),
   randomPhoneNumber: () => ({
     func: RandomDataGenerators.randomPhoneNumber,
@@ -943,15 +1024,22 @@ const extractors = {
     func: RandomDataGenerators.randomStreetNumber,
     params: [],
   }),
-  randomStreetName: () => ({
+  randomStreetName: (locale) => ({
     func: RandomDataGenerators.randomStreetName,
-    params: [],
+    params: [locale],
+  }),
+  randomCity: (locale) => ({
+    func: RandomDataGenerators.randomCity,
+    params: [locale],
   }),
-  randomCity: () => ({ func: RandomDataGenerators.randomCity, params: [] }),
   randomState: () => ({ func: RandomDataGenerators.randomState, params: [] }),
-  randomZipCode: () => ({
+  randomZipCode: (locale) => ({
     func: RandomDataGenerators.randomZipCode,
-    params: [],
+    params: [locale],
+  }),
+  randomAddress: (locale) => ({
+    func: RandomDataGenerators.randomAddress,
+    params: [locale],
   }),
   randomDateFuture: (days) => ({
     func: RandomDataGenerators.randomDateFuture,
@@ -961,6 +1049,33 @@ const extractors = {
     func: RandomDataGenerators.randomDatePast,
     params: [days],
   }),
+  randomUUID: () => ({ func: RandomDataGenerators.randomUUID, params: [] }),
+  randomUUIDv7: () => ({
+    func: RandomDataGenerators.randomUUIDv7,
+    params: [],
+  }),
+  randomCardNumber: (brand) => ({
+    func: RandomDataGenerators.randomCardNumber,
+    params: [brand],
+  }),
+  randomIBAN: (country) => ({
+    func: RandomDataGenerators.randomIBAN,
+    params: [country],
+  }),
+  randomIPv4: () => ({ func: RandomDataGenerators.randomIPv4, params: [] }),
+  randomIPv6: () => ({ func: RandomDataGenerators.randomIPv6, params: [] }),
+  randomUrl: (domain) => ({
+    func: RandomDataGenerators.randomUrl,
+    params: [domain],
+  }),
+  randomLorem: (words) => ({
+    func: RandomDataGenerators.randomLorem,
+    params: [words],
+  }),
+  randomPrice: (min, max, decimals) => ({
+    func: RandomDataGenerators.randomPrice,
+    params: [min, max, decimals],
+  }),
 
   // response extraction helpers (from createExtractors)
   path: Extractor.createExtractors().path,
@@ -990,4 +1105,5 @@ const extractors = {
 module.exports = {
   Extractor,
   extractors,
+  RandomDataGenerators,
 };
@@ -8,6 +8,13 @@ const { ApiClient } = require("./api-client");
 const { Validator, validators } = require("./validator");
 const { Extractor, extractors } = require("./extractor");
 const { ScenarioLoader } = require("./scenario-loader");
+const { LoadTester } = require("./load-tester");
+const { StepInspector } = require("./inspector");
+const { ScenarioFailedError } = require("./errors");
+const { TemplateEngine } = require("./template");
+const { addSecret, redact } = require("./secrets");
+const { loadEnvFile } = require("./env-file");
+const { setSeed, runWithSeed } = require("./random");
 
 // main exports
 module.exports = {
@@ -21,12 +28,28 @@ module.exports = {
   Validator,
   Extractor,
   ScenarioLoader,
+  LoadTester,
+  StepInspector,
+  TemplateEngine,
+
+  // errors
+  ScenarioFailedError,
+
+  // secrets and environment
+  addSecret, // mask a value in all further output
+  redact, // a copy of a value with the secrets masked
+  loadEnvFile,
+
+  // reproducible random data
+  setSeed, // reseed the generators used outside a runner
+  runWithSeed, // run a function with its own seeded generator
 
   // helper factories
   createRunner: (options) => new ScenarioRunner(options),
   createValidator: () => new Validator(),
   createExtractor: () => new Extractor(),
   createLoader: (scenariosDir) => new ScenarioLoader(scenariosDir),
+  createLoadTester: (options) => new LoadTester(options),
 
   // version
   version: require("../package.json").version,
@@ -0,0 +1,291 @@
+const readline = require("readline");
+const util = require("util");
+const vm = require("vm");
+const { Extractor } = require("./extractor");
+
+// keys of axios' default headers object that hold per-method headers
+const HEADER_GROUPS = [
+  "common",
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "head",
+  "options",
+];
+
+const HELP = `Commands:
+  c, continue (or Enter)   run this step
+  s, skip                  skip this step
+  r, rerun                 run the previous step again, then pause here again
+  set <name> <value>       set a context variable (value is parsed as JSON if possible)
+  p, context               print the context
+  response                 print the last response
+  request                  print the step and request again
+  repl                     evaluate JavaScript with context, response and extract(path) in scope
+  q, quit                  stop the run (teardown still runs)
+  h, help                  show this help`;
+
+class StepInspector {
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.extractor = new Extractor();
+    this.lines = null;
+    this.closed = false;
+    this.lastResponse = undefined;
+  }
+
+  // called by the runner before each step; resolves with "continue", "skip",
+  // "rerun", "quit" or "refresh" (the context changed, show the step again)
+  async beforeStep({
+    step,
+    index,
+    context,
+    request,
+    requestError,
+    previous,
+    baseUrl,
+  }) {
+    if (this.closed) {
+      return "continue";
+    }
+
+    this.printStep(step, index, request, baseUrl, requestError);
+
+    for (;;) {
+      const line = await this.readLine("inspect> ");
+      if (line === null) {
+        console.log(
+          "📭 Input closed - running the remaining steps without pausing"
+        );
+        return "continue";
+      }
+
+      const [command = ""] = line.trim().split(/\s+/);
+
+      switch (command) {
+        case "":
+        case "c":
+        case "continue":
+          return "continue";
+        case "s":
+        case "skip":
+          return "skip";
+        case "r":
+        case "rerun":
+          if (!previous) {
+            console.log("⚠️  There is no previous step to re-run");
+            break;
+          }
+          return "rerun";
+        case "q":
+        case "quit":
+          return "quit";
+        case "set": {
+          const match = /^set\s+(\S+)\s*(.*)$/.exec(line.trim());
+          if (!match) {
+            console.log("⚠️  Usage: set <name> <value>");
+            break;
+          }
+          context[match[1]] = this.parseValue(match[2]);
+          console.log(`📋 ${match[1]} = ${JSON.stringify(context[match[1]])}`);
+          return "refresh";
+        }
+        case "p":
+        case "context":
+          console.log(this.format(context));
+          break;
+        case "response":
+          console.log(
+            this.lastResponse === undefined
+              ? "No response yet"
+              : this.format(this.lastResponse)
+          );
+          break;
+        case "request":
+          this.printStep(step, index, request, baseUrl, requestError);
+          break;
+        case "repl":
+          await this.repl(context);
+          return "refresh";
+        case "h":
+        case "help":
+        case "?":
+          console.log(HELP);
+          break;
+        default:
+          console.log(`⚠️  Unknown command '${command}' - type 'help'`);
+      }
+    }
+  }
+
+  // called by the runner after each step, to keep the last response around
+  afterStep(step, record) {
+    if (record.result && record.result.status !== undefined) {
+      this.lastResponse = record.result;
+    }
+  }
+
+  printStep(step, index, request, baseUrl = "", requestError = null) {
+    console.log(`\n⏸️  Paused before step ${index + 1}: ${step.name}`);
+
+    if (requestError) {
+      console.log(`   ${step.method} ${step.url}`);
+      console.log(`   ⚠️  Cannot build the request: ${requestError.message}`);
+      return;
+    }
+
+    if (!request) {
+      console.log(`   ${this.describeStep(step)}`);
+      return;
+    }
+
+    const url = /^https?:\/\//i.test(request.url)
+      ? request.url
+      : `${baseUrl}${request.url}`;
+    console.log(`   ${request.method.toUpperCase()} ${url}`);
+
+    const headers = this.effectiveHeaders(request.method, request.headers);
+    if (Object.keys(headers).length > 0) {
+      console.log("   Headers:");
+      for (const [key, value] of Object.entries(headers)) {
+        console.log(`     ${key}: ${value}`);
+      }
+    }
+
+    if (request.body !== undefined) {
+      console.log("   Body:");
+      console.log(
+        JSON.stringify(request.body, null, 2)
+          .split("\n")
+          .map((line) => `     ${line}`)
+          .join("\n")
+      );
+    }
+  }
+
+  describeStep(step) {
+    switch (step.type) {
+      case "parallel":
+        return `parallel group of ${step.steps.length} steps`;
+      case "forEach":
+        return `forEach over ${
+          typeof step.items === "string" ? `'${step.items}'` : "inline items"
+        } (${step.steps.length} steps per item)`;
+      case "scenario":
+        return `sub-scenario '${step.scenario}'`;
+      default:
+        return `custom step type '${step.type}'`;
+    }
+  }
+
+  // the headers axios will actually send: common ones, then the method's
+  // own, then plain ones (which include the step's headers)
+  effectiveHeaders(method, headers = {}) {
+    const plain = {};
+    for (const [key, value] of Object.entries(headers)) {
+      if (
+        !HEADER_GROUPS.includes(key.toLowerCase()) &&
+        value !== undefined &&
+        value !== null &&
+        typeof value !== "object"
+      ) {
+        plain[key] = value;
+      }
+    }
+
+    return {
+      ...headers.common,
+      ...headers[method.toLowerCase()],
+      ...plain,
+    };
+  }
+
+  // a line-based REPL, so that it reads from the same input as the prompt
+  async repl(context) {
+    console.log(
+      "🧪 REPL - context, response and extract(path) are in scope; .exit to return"
+    );
+
+    const sandbox = vm.createContext({
+      context,
+      response: this.lastResponse,
+      extract: (path) => this.extractor.extractByPath(path, this.lastResponse),
+      console,
+    });
+
+    for (;;) {
+      const line = await this.readLine("> ");
+      if (line === null || line.trim() === ".exit") {
+        return;
+      }
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        let result = vm.runInContext(line, sandbox);
+        if (result && typeof result.then === "function") {
+          result = await result;
+        }
+        console.log(this.format(result));
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+      }
+    }
+  }
+
+  // JSON values (numbers, booleans, quoted strings, objects) as such,
+  // anything else as a plain string
+  parseValue(text) {
+    const value = text.trim();
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
+  format(value) {
+    return util.inspect(value, {
+      depth: 6,
+      colors: Boolean(this.output.isTTY),
+    });
+  }
+
+  // next line of input, or null once the input has ended
+  async readLine(prompt) {
+    if (!this.lines) {
+      this.readline = readline.createInterface({
+        input: this.input,
+        terminal: false,
+      });
+      this.lines = this.readline[Symbol.asyncIterator]();
+    }
+
+    this.output.write(prompt);
+    const { value, done } = await this.lines.next();
+
+    if (done) {
+      this.closed = true;
+      this.output.write("\n");
+      return null;
+    }
+
+    // piped commands are not echoed by a terminal, so echo them for the log
+    if (!this.input.isTTY) {
+      this.output.write(`${value}\n`);
+    }
+    return value;
+  }
+
+  close() {
+    if (this.readline) {
+      this.readline.close();
+    }
+  }
+}
+
+module.exports = { StepInspector };
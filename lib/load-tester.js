@@ -0,0 +1,401 @@
+const { ScenarioRunner } = require("./runner");
+const { captureConsole } = require("./console-capture");
+const { deriveSeed } = require("./random");
+
+const PERCENTILES = [50, 90, 99];
+
+// durations kept per step for the percentiles; past this many, a uniform
+// random sample of them is kept, so a long --duration run stays within
+// constant memory
+const MAX_SAMPLES = 10000;
+
+// count, sum, min and max of every duration, plus a reservoir sample
+class DurationSample {
+  constructor(size = MAX_SAMPLES) {
+    this.size = size;
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.samples = [];
+  }
+
+  add(duration) {
+    this.count++;
+    this.sum += duration;
+    this.min = Math.min(this.min, duration);
+    this.max = Math.max(this.max, duration);
+
+    if (this.samples.length < this.size) {
+      this.samples.push(duration);
+      return;
+    }
+
+    // keep each of the durations seen so far with the same probability
+    const index = Math.floor(Math.random() * this.count);
+    if (index < this.size) {
+      this.samples[index] = duration;
+    }
+  }
+}
+
+class LoadTester {
+  constructor(options = {}) {
+    this.vus = Math.max(parseInt(options.vus) || 1, 1);
+    this.duration = options.duration || 0; // ms, ramp-up included
+    this.iterations = options.iterations || 0; // shared by all virtual users
+    this.rampUp = options.rampUp || 0; // ms over which virtual users start
+    this.progressInterval = options.progressInterval ?? 5000;
+    this.runnerOptions = options.runnerOptions || {};
+    this.stopRequested = null;
+
+    // runners of the virtual users currently running an iteration
+    this.activeRunners = new Set();
+  }
+
+  // run the scenario until the duration has passed or the iterations have
+  // all been started (without either, every virtual user runs it once)
+  async run(scenario, configVariables = {}) {
+    this.stopRequested = null;
+
+    // iterations are independent runs, so a dataset does not apply here
+    const loadScenario = { ...scenario, dataset: undefined };
+    const iterations = this.iterations || (this.duration ? Infinity : this.vus);
+
+    const schedule = {
+      startedAt: Date.now(),
+      deadline: this.duration ? Date.now() + this.duration : Infinity,
+      iterations,
+      started: 0,
+      activeVus: 0,
+    };
+
+    const stats = {
+      iterations: 0,
+      failedIterations: 0,
+      iterationDurations: new DurationSample(),
+      steps: new Map(),
+      errors: new Map(),
+    };
+
+    // report steps in scenario order, teardown last
+    (scenario.steps || []).forEach((step) =>
+      this.registerStep(stats, step.name)
+    );
+    (scenario.teardown || []).forEach((step) =>
+      this.registerStep(stats, `🧹 ${step.name}`)
+    );
+
+    console.log(
+      `\n🏋️  Load testing scenario: ${scenario.name} (${this.describe()})`
+    );
+
+    const progress =
+      this.progressInterval > 0
+        ? setInterval(
+            () => this.printProgress(schedule, stats),
+            this.progressInterval
+          )
+        : null;
+
+    try {
+      await Promise.all(
+        Array.from({ length: this.vus }, (_, i) =>
+          this.runVirtualUser(
+            i + 1,
+            (this.rampUp * i) / this.vus,
+            loadScenario,
+            configVariables,
+            schedule,
+            stats
+          )
+        )
+      );
+    } finally {
+      if (progress) {
+        clearInterval(progress);
+      }
+    }
+
+    const summary = this.summarize(
+      scenario.name,
+      stats,
+      Date.now() - schedule.startedAt
+    );
+    this.printReport(summary);
+    return summary;
+  }
+
+  // one virtual user: its own runner (and so its own client, headers and
+  // context), iterating until the schedule says stop. `__vu` and
+  // `__iteration` are available to the scenario for building unique data
+  async runVirtualUser(
+    vu,
+    startDelay,
+    scenario,
+    configVariables,
+    schedule,
+    stats
+  ) {
+    if (startDelay > 0) {
+      await this.sleepUntil(schedule.startedAt + startDelay);
+    }
+
+    // each virtual user draws its own (reproducible) random data
+    const { seed } = this.runnerOptions;
+    const runner = new ScenarioRunner({
+      ...this.runnerOptions,
+      seed: seed === undefined ? undefined : deriveSeed(seed, `vu${vu}`),
+    });
+    let iteration = 0;
+    schedule.activeVus++;
+
+    try {
+      while (this.shouldStartIteration(schedule)) {
+        schedule.started++;
+        iteration++;
+
+        this.activeRunners.add(runner);
+        const startedAt = Date.now();
+        try {
+          const { result } = await captureConsole(() =>
+            runner.runScenarioConfig(scenario, {
+              ...configVariables,
+              __vu: vu,
+              __iteration: iteration,
+            })
+          );
+          this.recordIteration(stats, result, null, Date.now() - startedAt);
+        } catch (error) {
+          this.recordIteration(stats, error, error, Date.now() - startedAt);
+        } finally {
+          this.activeRunners.delete(runner);
+        }
+      }
+    } finally {
+      schedule.activeVus--;
+    }
+  }
+
+  shouldStartIteration(schedule) {
+    return (
+      !this.stopRequested &&
+      schedule.started < schedule.iterations &&
+      Date.now() < schedule.deadline
+    );
+  }
+
+  // wait until `time`, waking up early if the test is stopped
+  async sleepUntil(time) {
+    while (!this.stopRequested && Date.now() < time) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(time - Date.now(), 100))
+      );
+    }
+  }
+
+  // stop starting new iterations and let the running ones finish their
+  // current step and teardown
+  stop(reason = "stop requested") {
+    this.stopRequested = reason;
+    this.activeRunners.forEach((runner) => runner.stop(reason));
+  }
+
+  // `outcome` is the runner's result, or the error it threw (which carries
+  // the step results of the failed run)
+  recordIteration(stats, outcome, error, duration) {
+    stats.iterations++;
+    stats.iterationDurations.add(duration);
+
+    if (error) {
+      stats.failedIterations++;
+    }
+
+    const results = outcome.results || [];
+    const teardown = outcome.teardown || outcome.teardownResults || [];
+
+    results.forEach((record) => this.recordStep(stats, record.step, record));
+    teardown.forEach((record) =>
+      this.recordStep(stats, `🧹 ${record.step}`, record)
+    );
+
+    if (error && !results.some((record) => record.status === "failed")) {
+      // failed before or outside of any step, e.g. in middleware
+      this.countError(stats, error.message);
+    }
+  }
+
+  recordStep(stats, name, record) {
+    if (record.status !== "passed" && record.status !== "failed") {
+      return;
+    }
+
+    this.registerStep(stats, name);
+    const step = stats.steps.get(name);
+    step.count++;
+    step.durations.add(record.duration);
+
+    if (record.status === "failed") {
+      step.failed++;
+      this.countError(stats, `${name}: ${record.error}`);
+    }
+  }
+
+  registerStep(stats, name) {
+    if (!stats.steps.has(name)) {
+      stats.steps.set(name, {
+        count: 0,
+        failed: 0,
+        durations: new DurationSample(),
+      });
+    }
+  }
+
+  countError(stats, message) {
+    stats.errors.set(message, (stats.errors.get(message) || 0) + 1);
+  }
+
+  summarize(scenarioName, stats, elapsed) {
+    const seconds = Math.max(elapsed, 1) / 1000;
+    let requests = 0;
+
+    const ran = [...stats.steps.entries()].filter(([, step]) => step.count);
+    const steps = ran.map(([name, step]) => {
+      requests += step.count;
+      return {
+        name,
+        count: step.count,
+        failed: step.failed,
+        errorRate: step.failed / step.count,
+        throughput: step.count / seconds,
+        latency: this.latencyStats(step.durations),
+      };
+    });
+
+    return {
+      scenario: scenarioName,
+      vus: this.vus,
+      elapsed,
+      iterations: stats.iterations,
+      failedIterations: stats.failedIterations,
+      errorRate: stats.iterations
+        ? stats.failedIterations / stats.iterations
+        : 0,
+      throughput: stats.iterations / seconds,
+      requestThroughput: requests / seconds,
+      latency: this.latencyStats(stats.iterationDurations),
+      steps,
+      errors: [...stats.errors.entries()]
+        .map(([message, count]) => ({ message, count }))
+        .sort((a, b) => b.count - a.count),
+      stopped: this.stopRequested,
+    };
+  }
+
+  // min / avg / max of a DurationSample, and nearest-rank percentiles of
+  // the durations it kept
+  latencyStats(durations) {
+    if (durations.count === 0) {
+      return null;
+    }
+
+    const sorted = [...durations.samples].sort((a, b) => a - b);
+    const latency = {
+      min: durations.min,
+      avg: Math.round(durations.sum / durations.count),
+      max: durations.max,
+    };
+
+    for (const p of PERCENTILES) {
+      const rank = Math.ceil((p / 100) * sorted.length);
+      latency[`p${p}`] = sorted[Math.max(rank - 1, 0)];
+    }
+
+    return latency;
+  }
+
+  describe() {
+    const parts = [`${this.vus} virtual user${this.vus === 1 ? "" : "s"}`];
+    if (this.duration) {
+      parts.push(`for ${this.duration / 1000}s`);
+    }
+    if (this.iterations) {
+      parts.push(`${this.iterations} iterations`);
+    }
+    if (this.rampUp) {
+      parts.push(`ramping up over ${this.rampUp / 1000}s`);
+    }
+    return parts.join(", ");
+  }
+
+  printProgress(schedule, stats) {
+    const elapsed = Math.round((Date.now() - schedule.startedAt) / 1000);
+    console.log(
+      `⏱️  ${elapsed}s: ${schedule.activeVus} active VUs, ${stats.iterations} iterations, ${stats.failedIterations} failed`
+    );
+  }
+
+  printReport(summary) {
+    const percent = (rate) => `${(rate * 100).toFixed(2)}%`;
+    const perSecond = (rate) => `${rate.toFixed(2)}/s`;
+
+    console.log("\n" + "=".repeat(50));
+    console.log(`🏋️  LOAD TEST SUMMARY: ${summary.scenario}`);
+    console.log("=".repeat(50));
+
+    if (summary.stopped) {
+      console.log(`⏹️  Stopped early: ${summary.stopped}`);
+    }
+
+    console.log(`👥 Virtual users: ${summary.vus}`);
+    if (this.runnerOptions.seed !== undefined) {
+      console.log(`🎲 Seed: ${this.runnerOptions.seed}`);
+    }
+    console.log(`⏱️  Duration: ${(summary.elapsed / 1000).toFixed(1)}s`);
+    console.log(
+      `🔁 Iterations: ${summary.iterations} (${perSecond(
+        summary.throughput
+      )}), ${summary.failedIterations} failed (${percent(summary.errorRate)})`
+    );
+    console.log(`📨 Step throughput: ${perSecond(summary.requestThroughput)}`);
+
+    if (summary.latency) {
+      console.log(
+        `⌛ Iteration duration: ${this.formatLatency(summary.latency)}`
+      );
+    }
+
+    if (summary.steps.length > 0) {
+      console.log("\n📝 Steps:");
+      for (const step of summary.steps) {
+        console.log(
+          `  ${step.failed > 0 ? "❌" : "✅"} ${step.name}: ${
+            step.count
+          } runs (${perSecond(step.throughput)}), ${percent(
+            step.errorRate
+          )} errors`
+        );
+        console.log(`     ${this.formatLatency(step.latency)}`);
+      }
+    }
+
+    if (summary.errors.length > 0) {
+      console.log("\n💥 Errors:");
+      summary.errors.slice(0, 10).forEach(({ message, count }) => {
+        console.log(`  ${count}x ${message}`);
+      });
+    }
+
+    console.log("\n" + "=".repeat(50));
+  }
+
+  formatLatency(latency) {
+    return (
+      `min ${latency.min}ms, avg ${latency.avg}ms, ` +
+      PERCENTILES.map((p) => `p${p} ${latency[`p${p}`]}ms`).join(", ") +
+      `, max ${latency.max}ms`
+    );
+  }
+}
+
+module.exports = { LoadTester };
@@ -0,0 +1,346 @@
+const { randomInt, randomString } = require("./random");
+
+const DIGITS = "0123456789";
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// names and address parts per locale (en-US is the default); `streetName`
+// and `street` put the parts in the order the locale writes them
+const locales = {
+  "en-US": {
+    country: "United States",
+    firstNames: [
+      "John",
+      "Jane",
+      "Michael",
+      "Sarah",
+      "David",
+      "Emily",
+      "Robert",
+      "Lisa",
+      "James",
+      "Maria",
+      "William",
+      "Jennifer",
+      "Richard",
+      "Patricia",
+      "Charles",
+      "Linda",
+      "Joseph",
+      "Barbara",
+      "Thomas",
+      "Elizabeth",
+      "Christopher",
+      "Susan",
+    ],
+    lastNames: [
+      "Smith",
+      "Johnson",
+      "Williams",
+      "Brown",
+      "Jones",
+      "Garcia",
+      "Miller",
+      "Davis",
+      "Rodriguez",
+      "Martinez",
+      "Hernandez",
+      "Lopez",
+      "Gonzalez",
+      "Wilson",
+      "Anderson",
+      "Thomas",
+      "Taylor",
+      "Moore",
+      "Jackson",
+      "Martin",
+    ],
+    streetNames: [
+      "Main",
+      "Oak",
+      "Elm",
+      "Park",
+      "First",
+      "Second",
+      "Third",
+      "Maple",
+      "Cedar",
+      "Pine",
+    ],
+    streetTypes: ["St", "Ave", "Rd", "Blvd", "Dr", "Ln", "Ct", "Way"],
+    cities: [
+      "New York",
+      "Los Angeles",
+      "Chicago",
+      "Houston",
+      "Phoenix",
+      "Philadelphia",
+      "San Antonio",
+      "San Diego",
+      "Dallas",
+      "San Jose",
+      "Austin",
+      "Jacksonville",
+      "Fort Worth",
+      "Columbus",
+      "Charlotte",
+      "San Francisco",
+      "Indianapolis",
+      "Seattle",
+    ],
+    streetName: (name, type) => `${name} ${type}`,
+    street: (streetName, number) => `${number} ${streetName}`,
+    postalCode: () => String(randomInt(10000, 99999)),
+  },
+
+  "en-GB": {
+    country: "United Kingdom",
+    firstNames: [
+      "Oliver",
+      "Amelia",
+      "George",
+      "Isla",
+      "Harry",
+      "Ava",
+      "Jack",
+      "Mia",
+      "Charlie",
+      "Grace",
+      "Thomas",
+      "Poppy",
+    ],
+    lastNames: [
+      "Smith",
+      "Jones",
+      "Taylor",
+      "Brown",
+      "Williams",
+      "Wilson",
+      "Evans",
+      "Davies",
+      "Thomas",
+      "Roberts",
+      "Walker",
+      "Wright",
+    ],
+    streetNames: [
+      "High",
+      "Station",
+      "Church",
+      "Victoria",
+      "Mill",
+      "Green",
+      "Manor",
+      "Kings",
+    ],
+    streetTypes: ["Street", "Road", "Lane", "Close", "Avenue", "Gardens"],
+    cities: [
+      "London",
+      "Manchester",
+      "Birmingham",
+      "Leeds",
+      "Glasgow",
+      "Bristol",
+      "Liverpool",
+      "Edinburgh",
+      "Cardiff",
+      "Belfast",
+    ],
+    streetName: (name, type) => `${name} ${type}`,
+    street: (streetName, number) => `${number} ${streetName}`,
+    postalCode: () =>
+      `${randomString(2, LETTERS)}${randomInt(1, 20)} ${randomInt(
+        1,
+        9
+      )}${randomString(2, LETTERS)}`,
+  },
+
+  "de-DE": {
+    country: "Deutschland",
+    firstNames: [
+      "Lukas",
+      "Anna",
+      "Leon",
+      "Lea",
+      "Finn",
+      "Hannah",
+      "Jonas",
+      "Mia",
+      "Paul",
+      "Emma",
+      "Felix",
+      "Sophie",
+    ],
+    lastNames: [
+      "Müller",
+      "Schmidt",
+      "Schneider",
+      "Fischer",
+      "Weber",
+      "Meyer",
+      "Wagner",
+      "Becker",
+      "Schulz",
+      "Hoffmann",
+      "Koch",
+      "Richter",
+    ],
+    streetNames: [
+      "Haupt",
+      "Bahnhof",
+      "Schul",
+      "Garten",
+      "Berg",
+      "Kirch",
+      "Linden",
+      "Wald",
+    ],
+    streetTypes: ["straße", "weg", "allee", "gasse"],
+    cities: [
+      "Berlin",
+      "Hamburg",
+      "München",
+      "Köln",
+      "Frankfurt am Main",
+      "Stuttgart",
+      "Düsseldorf",
+      "Leipzig",
+      "Dresden",
+      "Hannover",
+    ],
+    streetName: (name, type) => `${name}${type}`,
+    street: (streetName, number) => `${streetName} ${number}`,
+    postalCode: () => randomString(5, DIGITS).replace(/^0/, "1"),
+  },
+
+  "fr-FR": {
+    country: "France",
+    firstNames: [
+      "Gabriel",
+      "Louise",
+      "Raphaël",
+      "Jade",
+      "Léo",
+      "Ambre",
+      "Louis",
+      "Alice",
+      "Jules",
+      "Chloé",
+      "Hugo",
+      "Léa",
+    ],
+    lastNames: [
+      "Martin",
+      "Bernard",
+      "Dubois",
+      "Thomas",
+      "Robert",
+      "Richard",
+      "Petit",
+      "Durand",
+      "Leroy",
+      "Moreau",
+      "Simon",
+      "Laurent",
+    ],
+    streetNames: [
+      "de la Paix",
+      "Victor Hugo",
+      "de la République",
+      "des Lilas",
+      "du Moulin",
+      "Pasteur",
+      "de l'Église",
+      "Jean Jaurès",
+    ],
+    streetTypes: ["rue", "avenue", "boulevard", "place", "allée"],
+    cities: [
+      "Paris",
+      "Marseille",
+      "Lyon",
+      "Toulouse",
+      "Nice",
+      "Nantes",
+      "Strasbourg",
+      "Montpellier",
+      "Bordeaux",
+      "Lille",
+    ],
+    streetName: (name, type) => `${type} ${name}`,
+    street: (streetName, number) => `${number} ${streetName}`,
+    postalCode: () =>
+      `${String(randomInt(1, 95)).padStart(2, "0")}${randomString(3, DIGITS)}`,
+  },
+
+  "es-ES": {
+    country: "España",
+    firstNames: [
+      "Hugo",
+      "Lucía",
+      "Martín",
+      "Sofía",
+      "Pablo",
+      "Martina",
+      "Alejandro",
+      "María",
+      "Daniel",
+      "Julia",
+      "Álvaro",
+      "Paula",
+    ],
+    lastNames: [
+      "García",
+      "Rodríguez",
+      "González",
+      "Fernández",
+      "López",
+      "Martínez",
+      "Sánchez",
+      "Pérez",
+      "Gómez",
+      "Martín",
+      "Jiménez",
+      "Ruiz",
+    ],
+    streetNames: [
+      "Mayor",
+      "Real",
+      "del Sol",
+      "de la Paz",
+      "Nueva",
+      "San Juan",
+      "de Cervantes",
+      "del Carmen",
+    ],
+    streetTypes: ["Calle", "Avenida", "Paseo", "Plaza"],
+    cities: [
+      "Madrid",
+      "Barcelona",
+      "Valencia",
+      "Sevilla",
+      "Zaragoza",
+      "Málaga",
+      "Murcia",
+      "Palma",
+      "Bilbao",
+      "Alicante",
+    ],
+    streetName: (name, type) => `${type} ${name}`,
+    street: (streetName, number) => `${streetName}, ${number}`,
+    postalCode: () =>
+      `${String(randomInt(1, 52)).padStart(2, "0")}${randomString(3, DIGITS)}`,
+  },
+};
+
+function getLocale(locale = "en-US") {
+  const data = locales[locale];
+  if (!data) {
+    throw new Error(
+      `Unknown locale '${locale}' (available: ${Object.keys(locales).join(
+        ", "
+      )})`
+    );
+  }
+  return data;
+}
+
+module.exports = { locales, getLocale };
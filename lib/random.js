@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// mulberry32: small, fast and good enough for test data (not for anything
+// security related)
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed;
+    this.state = hashSeed(seed);
+  }
+
+  // a float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+// the generator for the code currently running (see runWithSeed), or the
+// process-wide one
+const scope = new AsyncLocalStorage();
+let defaultGenerator = new SeededRandom(createSeed());
+
+// a float in [0, 1), like Math.random()
+function random() {
+  return (scope.getStore() || defaultGenerator).next();
+}
+
+// an integer from min to max, both included
+function randomInt(min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function pick(items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+// a string of `length` random characters from `alphabet`
+function randomString(length, alphabet) {
+  let result = "";
+  for (let i = 0; i < length; i++) {
+    result += alphabet.charAt(Math.floor(random() * alphabet.length));
+  }
+  return result;
+}
+
+// run `fn` (and everything it awaits) with its own generator seeded with
+// `seed`, so that concurrent runs do not draw from each other's sequence
+function runWithSeed(seed, fn) {
+  return scope.run(new SeededRandom(seed), fn);
+}
+
+// reseed the process-wide generator
+function setSeed(seed) {
+  defaultGenerator = new SeededRandom(seed);
+}
+
+// a fresh seed, for runs that were not given one
+function createSeed() {
+  return crypto.randomInt(1, 2 ** 31 - 1);
+}
+
+// a seed for one part of a run (a scenario, a virtual user), derived from
+// the run's seed so that each part is reproducible on its own
+function deriveSeed(seed, label) {
+  return `${seed}:${label}`;
+}
+
+// any string or number to a 32-bit state (xmur3-style string hash)
+function hashSeed(seed) {
+  const text = String(seed);
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+}
+
+module.exports = {
+  SeededRandom,
+  random,
+  randomInt,
+  pick,
+  randomString,
+  runWithSeed,
+  setSeed,
+  createSeed,
+  deriveSeed,
+};
@@ -1,132 +1,1340 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { EventEmitter } = require("events");
+const { setTimeout: sleep } = require("timers/promises");
 const { ApiClient } = require("./api-client");
 const { Validator } = require("./validator");
 const { Extractor } = require("./extractor");
+const { ScenarioLoader } = require("./scenario-loader");
+const { mapWithConcurrency } = require("./concurrency");
+const { ScenarioFailedError } = require("./errors");
+const { TemplateEngine } = require("./template");
+const { SecretScope, addSecret, redact } = require("./secrets");
+const { runWithSeed, createSeed, deriveSeed } = require("./random");
 
-class ScenarioRunner {
+// the context variable holding every HTTP step's request and response by
+// step name, as in {steps.createUser.body.id}
+const STEP_OUTPUTS = "steps";
+
+// Emits progress events while it runs (see emitEvent): scenario:start,
+// step:start, request, response, retry, validation, extract, step:skip,
+// step:fail, step:end and scenario:end
+class ScenarioRunner extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.baseUrl = options.baseUrl || "http://localhost:3000";
     this.dryRun = options.dryRun || false;
     this.verbose = options.verbose || false;
     this.requestDelay = options.requestDelay || 0;
+    this.retry = options.retry || null;
+    this.continueOnError = options.continueOnError || false;
+    this.stopRequested = null;
+    this.datasetRow = null;
+    this.signal = options.signal || null;
+    this.scenarioTimeout = options.scenarioTimeout || 0;
+    this.abortController = null;
+    this.deselectedSteps = new Map();
+
+    // names of the variables (or `env.NAME`s) whose values are masked in
+    // all output; a scenario's own `secrets` are added for its run
+    this.secrets = options.secrets || [];
+    this.secretNames = this.secrets;
+    this.secretScope = null;
+
+    // the seed behind all random data; each scenario run draws from its own
+    // generator derived from it (see runScenarioConfig), so that a run can be
+    // repeated with the same data
+    this.seed = options.seed ?? createSeed();
+    this.scenarioRuns = new Map();
+
+    // an optional step-through debugger (see StepInspector), and requests
+    // it has already shown, to be sent exactly as shown
+    this.inspector = options.inspector || null;
+    this.preparedRequests = new WeakMap();
+
+    // the abort signal that applies to the code currently running: the
+    // run's signal, narrowed by the `timeout` of any step around it
+    this.signalScope = new AsyncLocalStorage();
+
+    // the `retry` and `continueOnError` defaults of the scenario whose steps
+    // are running, kept per async flow so that sub-scenarios running side by
+    // side in a parallel group each see their own
+    this.defaultsScope = new AsyncLocalStorage();
+
+    // initialize components
+    this.apiClient = new ApiClient(this.baseUrl, {
+      timeout: options.timeout || 10000,
+      headers: options.headers || {},
+    });
+
+    this.validator = new Validator();
+    this.extractor = new Extractor();
+    this.templates = new TemplateEngine();
+    this.loader = options.loader || new ScenarioLoader(options.scenariosDir);
+
+    // plugin system
+    this.customValidators = new Map();
+    this.customExtractors = new Map();
+    this.stepTypes = new Map();
+    this.middleware = {
+      beforeStep: [],
+      afterStep: [],
+      beforeScenario: [],
+      afterScenario: [],
+    };
+    this.reporters = new Map();
+
+    // set request delay if specified
+    if (this.requestDelay > 0) {
+      this.apiClient.setRequestDelay(this.requestDelay);
+    }
+  }
+
+  // main method to run a scenario configuration. With a dataset (from
+  // `runOptions.dataset` or `scenario.dataset`) the whole scenario runs once
+  // per row, each row's columns becoming config variables. The run can be
+  // cancelled through `runOptions.signal` (or the runner's `signal`) and
+  // abort(). `fromStep`, `toStep` and `only` run part of the scenario, with
+  // `context` seeding the variables the left-out steps would have extracted
+  async runScenarioConfig(scenario, configVariables = {}, runOptions = {}) {
+    // a scenario run again by the same runner continues with new data
+    const runs = (this.scenarioRuns.get(scenario.name) || 0) + 1;
+    this.scenarioRuns.set(scenario.name, runs);
+    const label = runs > 1 ? `${scenario.name}#${runs}` : scenario.name;
+
+    // the values of the secrets are masked until the run has finished
+    this.secretScope = new SecretScope();
+    try {
+      return await runWithSeed(deriveSeed(this.seed, label), () =>
+        this.runSeededScenarioConfig(scenario, configVariables, runOptions)
+      );
+    } finally {
+      this.secretScope.release();
+      this.secretScope = null;
+    }
+  }
+
+  async runSeededScenarioConfig(scenario, configVariables, runOptions) {
+    this.stopRequested = null;
+    this.abortController = new AbortController();
+    this.deselectedSteps = this.selectSteps(scenario, runOptions);
+
+    if (runOptions.context) {
+      configVariables = { ...configVariables, ...runOptions.context };
+    }
+
+    const external = runOptions.signal || this.signal;
+    const signal = external
+      ? AbortSignal.any([this.abortController.signal, external])
+      : this.abortController.signal;
+
+    const dataset = runOptions.dataset || scenario.dataset;
+    if (dataset) {
+      return await this.runDataset(scenario, configVariables, dataset, signal);
+    }
+
+    return await this.runSingleScenario(scenario, configVariables, signal);
+  }
+
+  async runDataset(scenario, configVariables, dataset, signal) {
+    const startedAt = Date.now();
+    const rows = this.loader.loadDataset(dataset);
+    console.log(
+      `\n📚 Running scenario "${scenario.name}" for ${rows.length} dataset rows`
+    );
+
+    const rowResults = [];
+    for (let i = 0; i < rows.length; i++) {
+      if (this.stopRequested || (signal && signal.aborted)) {
+        console.log(`\n⏹️  Stopping before dataset row ${i + 1}`);
+        break;
+      }
+
+      const row = { index: i + 1, values: rows[i] };
+      this.datasetRow = row;
+
+      try {
+        const result = await this.runSingleScenario(
+          scenario,
+          { ...configVariables, ...rows[i] },
+          signal
+        );
+        rowResults.push({
+          ...row,
+          status: result.status,
+          success: true,
+          results: result.results,
+          result,
+        });
+      } catch (error) {
+        rowResults.push({
+          ...row,
+          status: error.result ? error.result.status : "failed",
+          success: false,
+          error: error.message,
+          results: error.results || [],
+          result: error.result,
+        });
+      } finally {
+        this.datasetRow = null;
+      }
+    }
+
+    this.printDatasetSummary(scenario.name, rowResults, rows.length);
+
+    const failedRows = rowResults.filter((row) => !row.success);
+    const notRun = rows.length - rowResults.length;
+    const failed = failedRows.length > 0 || notRun > 0;
+    const result = {
+      scenario: scenario.name,
+      status: failed
+        ? signal && signal.aborted
+          ? "aborted"
+          : "failed"
+        : "passed",
+      success: !failed,
+      startedAt: new Date(startedAt).toISOString(),
+      duration: Date.now() - startedAt,
+      rows: rowResults,
+      summary: {
+        rows: rows.length,
+        passed: rowResults.length - failedRows.length,
+        failed: failedRows.length,
+        notRun,
+      },
+    };
+
+    if (failed) {
+      throw new ScenarioFailedError(
+        `Scenario failed for ${failedRows.length} of ${rows.length} dataset rows` +
+          (notRun > 0 ? ` (${notRun} not run)` : ""),
+        result
+      );
+    }
+
+    return result;
+  }
+
+  async runSingleScenario(scenario, configVariables, signal) {
+    // `scenarioTimeout` is a deadline for the main steps of this run
+    let timer = null;
+    if (this.scenarioTimeout > 0) {
+      const deadline = new AbortController();
+      timer = setTimeout(
+        () =>
+          deadline.abort(
+            new Error(`scenario timed out after ${this.scenarioTimeout}ms`)
+          ),
+        this.scenarioTimeout
+      );
+      signal = signal
+        ? AbortSignal.any([signal, deadline.signal])
+        : deadline.signal;
+    }
+
+    const startedAt = Date.now();
+    let ended = false;
+
+    // initialize context for storing extracted variables
+    const context = { ...configVariables };
+    this.secretNames = [...this.secrets, ...(scenario.secrets || [])];
+    this.registerSecrets(context);
+    const results = [];
+    let teardownResults = [];
+
+    // the structured run result, resolved on success and attached to the
+    // ScenarioFailedError otherwise
+    const buildResult = (failure) => ({
+      scenario: scenario.name,
+      status: failure ? (failure.aborted ? "aborted" : "failed") : "passed",
+      success: !failure,
+      error: failure ? failure.message : undefined,
+      startedAt: new Date(startedAt).toISOString(),
+      duration: Date.now() - startedAt,
+      datasetRow: this.datasetRow || undefined,
+      summary: this.summarizeResults(results, teardownResults),
+      results,
+      teardown: teardownResults,
+      context,
+    });
+
+    try {
+      console.log(`\n🚀 Running scenario: ${scenario.name}`);
+
+      if (scenario.description) {
+        console.log(`📝 Description: ${scenario.description}`);
+      }
+
+      if (this.dryRun) {
+        console.log("🔍 DRY RUN MODE - No actual API calls will be made\n");
+      }
+
+      if (this.datasetRow) {
+        console.log(
+          `📄 Dataset row ${this.datasetRow.index}: ${this.formatDatasetRow(
+            this.datasetRow.values
+          )}`
+        );
+      }
+
+      this.emitEvent("scenario:start", {
+        scenario: scenario.name,
+        datasetRow: this.datasetRow || undefined,
+        variables: { ...configVariables },
+      });
+
+      // run beforeScenario middleware
+      await this.runMiddleware("beforeScenario", scenario);
+
+      // log available variables if verbose
+      if (this.verbose && Object.keys(context).length > 0) {
+        console.log("📋 Available config variables:", Object.keys(context));
+      }
+
+      this.warnAboutUnseededVariables(scenario.steps, context);
+
+      // execute steps sequentially; a failure is held back until teardown
+      // has run so that it cannot leave resources behind
+      let failure = null;
+      try {
+        await this.signalScope.run(signal, () =>
+          this.withScenarioDefaults(scenario, () =>
+            this.runSteps(
+              scenario.steps,
+              context,
+              results,
+              (step, index) => `\n--- Step ${index + 1}: ${step.name} ---`
+            )
+          )
+        );
+
+        if (signal && signal.aborted) {
+          const error = new Error(
+            `Scenario aborted: ${this.abortReason(signal)}`
+          );
+          error.aborted = true;
+          throw error;
+        }
+
+        const failed = results.filter((r) => r.status === "failed");
+        if (failed.length === 1) {
+          const failedIndex = results.indexOf(failed[0]);
+          throw new Error(
+            `Scenario failed at step ${failedIndex + 1}: ${
+              scenario.steps[failedIndex].name
+            }`
+          );
+        } else if (failed.length > 1) {
+          throw new Error(
+            `Scenario failed: ${failed.length} steps failed (${failed
+              .map((r) => r.step)
+              .join(", ")})`
+          );
+        }
+
+        if (this.stopRequested) {
+          throw new Error(`Scenario interrupted: ${this.stopRequested}`);
+        }
+      } catch (error) {
+        failure = error;
+      }
+
+      // teardown always runs, with whatever context was extracted so far
+      teardownResults = await this.withScenarioDefaults(scenario, () =>
+        this.runTeardown(scenario, context, results)
+      );
+      const teardownFailures = teardownResults.filter(
+        (r) => r.status === "failed"
+      );
+
+      if (!failure && teardownFailures.length > 0) {
+        failure = new Error(
+          `Teardown failed at: ${teardownFailures
+            .map((r) => r.step)
+            .join(", ")}`
+        );
+      }
+
+      if (!failure) {
+        // run afterScenario middleware
+        await this.runMiddleware("afterScenario", scenario, context, results);
+      }
+
+      // generate reports
+      await this.generateReports(
+        scenario.name,
+        results,
+        context,
+        teardownResults
+      );
+
+      // print summary
+      this.printSummary(
+        scenario.name,
+        results,
+        context,
+        teardownResults,
+        this.stopRequested ||
+          (signal && signal.aborted ? this.abortReason(signal) : null)
+      );
+
+      const result = buildResult(failure);
+      ended = true;
+      this.emitEvent("scenario:end", result);
+
+      if (failure) {
+        // the original failure wins, teardown failures ride along with it
+        throw new ScenarioFailedError(failure.message, result, {
+          cause: failure,
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`\n💥 Scenario execution failed: ${error.message}`);
+
+      if (error instanceof ScenarioFailedError) {
+        throw error;
+      }
+
+      // failed outside of the steps, e.g. in middleware
+      const result = buildResult(error);
+      if (!ended) {
+        this.emitEvent("scenario:end", result);
+      }
+      throw new ScenarioFailedError(error.message, result, { cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // run a list of steps one after another, appending a result record for
+  // each to `results`. Stops at the first failure unless the step (or the
+  // scenario, or the runner) says to continue on error, and when the run
+  // has been asked to stop
+  async runSteps(steps, context, results, headingFor) {
+    // variables that failed or blocked steps never extracted, mapped to the
+    // step that should have provided them
+    const unavailable = new Map();
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+
+      if (this.stopRequested || this.isAborted()) {
+        console.log(`\n⏹️  Stopping before step: ${step.name}`);
+        this.skipRemainingSteps(steps.slice(i), results, this.haltReason());
+        break;
+      }
+
+      const reason = this.unavailableVariablesReason(step, unavailable);
+
+      let record;
+      if (reason) {
+        // running it would send literal placeholders such as {userId}
+        console.log(headingFor(step, i));
+        console.log(`🚫 Blocked: ${reason}`);
+        record = { step: step.name, status: "blocked", blocked: true, reason };
+        this.emitEvent("step:skip", {
+          step: step.name,
+          status: "blocked",
+          reason,
+        });
+      } else {
+        const action =
+          this.inspector && !this.getSkipReason(step, context)
+            ? await this.inspectStep(steps, i, context, results, headingFor)
+            : "continue";
+
+        if (action === "quit") {
+          this.preparedRequests.delete(step);
+          this.stop("stopped from the inspector");
+          console.log(`\n⏹️  Stopping before step: ${step.name}`);
+          this.skipRemainingSteps(steps.slice(i), results, "run stopped");
+          break;
+        }
+
+        if (action === "skip") {
+          console.log(headingFor(step, i));
+          console.log("⏭️  Skipped: skipped from the inspector");
+          record = {
+            step: step.name,
+            status: "skipped",
+            skipped: true,
+            reason: "skipped from the inspector",
+          };
+          this.emitEvent("step:skip", {
+            step: step.name,
+            status: "skipped",
+            reason: record.reason,
+          });
+        } else {
+          record = await this.runStep(step, context, headingFor(step, i));
+        }
+
+        this.preparedRequests.delete(step);
+        if (this.inspector) {
+          this.inspector.afterStep(step, record);
+        }
+      }
+      results.push(record);
+
+      if (record.status === "failed" || record.status === "blocked") {
+        this.markUnavailable(step, record, context, unavailable);
+      }
+
+      if (record.status === "aborted") {
+        this.skipRemainingSteps(steps.slice(i + 1), results, this.haltReason());
+        break;
+      }
+
+      if (record.status === "failed" && !this.shouldContinueOnError(step)) {
+        this.skipRemainingSteps(
+          steps.slice(i + 1),
+          results,
+          "previous step failed"
+        );
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  // why the steps left in a stopped or aborted run are skipped
+  haltReason() {
+    const signal = this.currentSignal();
+    return signal && signal.aborted
+      ? `run aborted: ${this.abortReason(signal)}`
+      : "run stopped";
+  }
+
+  // result records for the steps a failed, stopped or aborted run never got
+  // to, so that the summary and the run result still account for every step
+  skipRemainingSteps(steps, results, reason) {
+    for (const step of steps) {
+      results.push({
+        step: step.name,
+        status: "skipped",
+        skipped: true,
+        reason,
+      });
+      this.emitEvent("step:skip", {
+        step: step.name,
+        status: "skipped",
+        reason,
+      });
+    }
+  }
+
+  // pause before a step and ask the inspector what to do ("continue",
+  // "skip" or "quit"). Re-running the previous step replaces its result, and
+  // like a changed context ("refresh") pauses before this step again
+  async inspectStep(steps, index, context, results, headingFor) {
+    const step = steps[index];
+
+    for (;;) {
+      // a request that cannot be built (e.g. an unknown variable) is shown
+      // at the prompt; running the step then records the failure as usual
+      let request = null;
+      let requestError = null;
+      if (this.isHttpStep(step)) {
+        try {
+          request = this.prepareHttpRequest(step, context);
+        } catch (error) {
+          requestError = error;
+        }
+      }
+
+      const action = await this.inspector.beforeStep({
+        step,
+        index,
+        context,
+        request,
+        requestError,
+        previous: index > 0 ? steps[index - 1] : null,
+        baseUrl: this.apiClient.baseUrl,
+      });
+
+      if (action === "refresh") {
+        continue;
+      }
+
+      if (action === "rerun" && index > 0) {
+        const previous = steps[index - 1];
+        const record = await this.runStep(
+          previous,
+          context,
+          headingFor(previous, index - 1)
+        );
+        results[results.length - 1] = record;
+        this.inspector.afterStep(previous, record);
+        continue;
+      }
+
+      if (request) {
+        this.preparedRequests.set(step, request);
+      }
+      return action;
+    }
+  }
+
+  // work out which of a scenario's main steps a partial run leaves out, as a
+  // map of step to the reason it is skipped. `only` (a list of step names)
+  // wins over steps marked `only: true`
+  selectSteps(scenario, runOptions = {}) {
+    const steps = scenario.steps;
+    const deselected = new Map();
+
+    const from =
+      runOptions.fromStep !== undefined
+        ? this.resolveStepIndex(scenario, runOptions.fromStep, "fromStep")
+        : 0;
+    const to =
+      runOptions.toStep !== undefined
+        ? this.resolveStepIndex(scenario, runOptions.toStep, "toStep")
+        : steps.length - 1;
+
+    if (from > to) {
+      throw new Error(
+        `fromStep '${steps[from].name}' comes after toStep '${steps[to].name}'`
+      );
+    }
+
+    let only = this.toList(runOptions.only);
+    if (only.length > 0) {
+      only = only.map(
+        (ref) => steps[this.resolveStepIndex(scenario, ref, "only")].name
+      );
+    } else {
+      only = null;
+    }
+
+    const focused = steps.some((step) => step.only);
+
+    // tagged steps follow the tag filters (untagged steps always run); a
+    // scenario that itself has one of `tags` runs all its tagged steps
+    const tags = this.toList(runOptions.tags);
+    const excludeTags = this.toList(runOptions.excludeTags);
+    const scenarioTagged = tags.some((tag) =>
+      (scenario.tags || []).includes(tag)
+    );
+
+    steps.forEach((step, index) => {
+      let reason = null;
+      if (index < from) {
+        reason = `before fromStep '${steps[from].name}'`;
+      } else if (index > to) {
+        reason = `after toStep '${steps[to].name}'`;
+      } else if (only && !only.includes(step.name)) {
+        reason = "not in the 'only' list";
+      } else if (!only && focused && !step.only) {
+        reason = "another step is marked 'only'";
+      } else if (step.tags) {
+        const excluded = excludeTags.find((tag) => step.tags.includes(tag));
+        if (excluded) {
+          reason = `excluded by tag '${excluded}'`;
+        } else if (
+          tags.length > 0 &&
+          !scenarioTagged &&
+          step.tags.length > 0 &&
+          !tags.some((tag) => step.tags.includes(tag))
+        ) {
+          reason = `not tagged ${tags.map((tag) => `'${tag}'`).join(" or ")}`;
+        }
+      }
+
+      if (reason) {
+        deselected.set(step, reason);
+      }
+    });
+
+    return deselected;
+  }
+
+  // a list option given as an array or as a comma-separated string
+  toList(value) {
+    if (typeof value === "string") {
+      return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    }
+
+    return Array.isArray(value) ? value : [];
+  }
+
+  // a step given by name or by its 1-based position
+  resolveStepIndex(scenario, ref, optionName) {
+    const byName = scenario.steps.findIndex(
+      (step) => step.name === String(ref)
+    );
+    if (byName !== -1) {
+      return byName;
+    }
+
+    const position = Number(ref);
+    if (
+      Number.isInteger(position) &&
+      position >= 1 &&
+      position <= scenario.steps.length
+    ) {
+      return position - 1;
+    }
+
+    throw new Error(
+      `${optionName}: no step '${ref}' in scenario '${scenario.name}'`
+    );
+  }
+
+  // point out variables that a left-out step would have extracted, that a
+  // step which does run needs, and that the context was not seeded with
+  warnAboutUnseededVariables(steps, context) {
+    const providers = new Map();
+    const needed = new Set();
+
+    for (const step of steps) {
+      if (this.deselectedSteps.has(step) || step.skip) {
+        for (const name of this.collectExtractedNames(step)) {
+          if (!providers.has(name)) {
+            providers.set(name, step.name);
+          }
+        }
+      } else {
+        this.collectVariableReferences(step, needed);
+      }
+    }
+
+    for (const name of needed) {
+      if (providers.has(name) && !this.hasContextVariable(context, name)) {
+        console.warn(
+          `⚠️  '${name}' would come from skipped step '${providers.get(
+            name
+          )}' and is not in the context`
+        );
+      }
+    }
+  }
+
+  // step setting > scenario setting > runner option
+  shouldContinueOnError(step) {
+    return Boolean(
+      step.continueOnError ??
+        this.currentScenarioDefaults().continueOnError ??
+        this.continueOnError
+    );
+  }
+
+  // names of the variables a step (including nested steps) would extract,
+  // `steps.<name>` standing for an HTTP step's outputs
+  collectExtractedNames(step, names = new Set()) {
+    if (this.isHttpStep(step)) {
+      names.add(`${STEP_OUTPUTS}.${step.name}`);
+    }
+
+    if (step.extract) {
+      Object.keys(step.extract).forEach((name) => names.add(name));
+    }
+
+    if (step.outputs) {
+      Object.keys(step.outputs).forEach((name) => names.add(name));
+    }
+
+    if (Array.isArray(step.steps)) {
+      step.steps.forEach((child) => this.collectExtractedNames(child, names));
+    }
+
+    return names;
+  }
+
+  // "needs '<name>' from '<step>'" for the variables in `unavailable` that a
+  // step refers to, or null when it can run
+  unavailableVariablesReason(step, unavailable) {
+    const missing = [...this.collectVariableReferences(step)].filter((name) =>
+      unavailable.has(name)
+    );
+    if (missing.length === 0) {
+      return null;
+    }
+
+    return `needs ${missing
+      .map((name) => `'${name}' from '${unavailable.get(name)}'`)
+      .join(", ")}`;
+  }
+
+  // note the variables a failed or blocked step did not provide
+  markUnavailable(step, record, context, unavailable) {
+    for (const name of this.collectExtractedNames(step)) {
+      if (!this.hasContextVariable(context, name)) {
+        unavailable.set(name, step.name);
+      }
+    }
+
+    // the outputs a failed step did keep are its error response, not
+    // what the steps after it are waiting for
+    for (const name of this.collectFailedStepOutputs(record)) {
+      unavailable.set(name, step.name);
+    }
+  }
+
+  // `steps.<name>` of every failed HTTP step in a result record, nested
+  // ones included (group records are the ones with children)
+  collectFailedStepOutputs(record, names = new Set()) {
+    if (record.status === "failed" && !record.children) {
+      names.add(`${STEP_OUTPUTS}.${record.step}`);
+    }
+
+    (record.children || []).forEach((child) =>
+      this.collectFailedStepOutputs(child, names)
+    );
+
+    return names;
+  }
+
+  // whether the context holds a variable, or for `steps.<name>` that step's
+  // outputs
+  hasContextVariable(context, name) {
+    if (Object.prototype.hasOwnProperty.call(context, name)) {
+      return true;
+    }
+
+    const prefix = `${STEP_OUTPUTS}.`;
+    return (
+      name.startsWith(prefix) &&
+      Object.prototype.hasOwnProperty.call(
+        context[STEP_OUTPUTS] || {},
+        name.slice(prefix.length)
+      )
+    );
+  }
+
+  // run every teardown step, carrying on past failures so that as much as
+  // possible gets cleaned up. Teardown is not subject to the run's abort
+  // signal, only to its steps' own `timeout`. Teardown steps that need a
+  // variable the main steps (`results`) did not provide are skipped
+  async runTeardown(scenario, context, results = []) {
+    return await this.signalScope.run(null, () =>
+      this.runTeardownSteps(scenario, context, results)
+    );
+  }
+
+  async runTeardownSteps(scenario, context, results) {
+    const teardownResults = [];
+    const steps = scenario.teardown || [];
+
+    if (steps.length > 0) {
+      console.log("\n🧹 Running teardown");
+    }
+
+    // what the main steps would have extracted but did not, because they
+    // failed, were blocked or never ran
+    const unavailable = new Map();
+    for (const step of scenario.steps || []) {
+      for (const name of this.collectExtractedNames(step)) {
+        if (!this.hasContextVariable(context, name)) {
+          unavailable.set(name, step.name);
+        }
+      }
+    }
+    for (const record of results) {
+      for (const name of this.collectFailedStepOutputs(record)) {
+        unavailable.set(name, record.step);
+      }
+    }
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const heading = `\n--- Teardown ${i + 1}: ${step.name} ---`;
+      const reason = this.unavailableVariablesReason(step, unavailable);
+
+      let record;
+      if (reason) {
+        // e.g. DELETE /users/{userId} when the user was never created
+        console.log(heading);
+        console.log(`⏭️  Skipped: ${reason}`);
+        record = { step: step.name, status: "skipped", skipped: true, reason };
+        this.emitEvent("step:skip", {
+          step: step.name,
+          status: "skipped",
+          reason,
+        });
+      } else {
+        record = await this.runStep(step, context, heading);
+        if (record.status === "failed") {
+          this.markUnavailable(step, record, context, unavailable);
+        }
+      }
+      teardownResults.push(record);
+    }
+
+    return teardownResults;
+  }
+
+  // ask the current run to stop before its next step; teardown still runs
+  stop(reason = "stop requested") {
+    this.stopRequested = reason;
+  }
+
+  // cancel the current run right away, including its in-flight request;
+  // teardown still runs
+  abort(reason = "aborted") {
+    if (this.abortController) {
+      this.abortController.abort(new Error(reason));
+    }
+  }
+
+  // run `fn` with a scenario's defaults applying to the steps it runs
+  withScenarioDefaults(scenario, fn) {
+    return this.defaultsScope.run(
+      { retry: scenario.retry, continueOnError: scenario.continueOnError },
+      fn
+    );
+  }
+
+  // scenario-level defaults, used by steps without their own settings
+  currentScenarioDefaults() {
+    return this.defaultsScope.getStore() || {};
+  }
+
+  currentSignal() {
+    return this.signalScope.getStore() || undefined;
+  }
+
+  isAborted() {
+    const signal = this.currentSignal();
+    return Boolean(signal && signal.aborted);
+  }
+
+  throwIfAborted() {
+    const signal = this.currentSignal();
+    if (signal && signal.aborted) {
+      throw new Error(this.abortReason(signal));
+    }
+  }
+
+  abortReason(signal) {
+    const reason = signal.reason;
+    return reason instanceof Error ? reason.message : String(reason);
+  }
+
+  // settle with `promise`, or reject as soon as the current signal aborts,
+  // for work that cannot be cancelled itself (such as custom step types)
+  async raceAbort(promise) {
+    const signal = this.currentSignal();
+    if (!signal) {
+      return await promise;
+    }
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    });
+
+    try {
+      return await Promise.race([promise, aborted]);
+    } finally {
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  // run a single step with its middleware and return a result record
+  // ({ step, status, success, duration, result | error }) instead of throwing.
+  // A step cut short by the run's signal is "aborted"; one that runs past
+  // its own `timeout` has failed
+  async runStep(step, context, heading) {
+    console.log(heading);
+
+    const record = { step: step.name };
+    const startedAt = Date.now();
+    const runSignal = this.currentSignal();
+    const stepSignal = step.timeout
+      ? AbortSignal.any(
+          [runSignal, AbortSignal.timeout(step.timeout)].filter(Boolean)
+        )
+      : runSignal;
+
+    try {
+      const skipReason = this.getSkipReason(step, context);
+      if (skipReason) {
+        console.log(`⏭️  Skipped: ${skipReason}`);
+        record.status = "skipped";
+        record.skipped = true;
+        record.reason = skipReason;
+        this.emitEvent("step:skip", {
+          step: step.name,
+          status: "skipped",
+          reason: skipReason,
+        });
+        return record;
+      }
+
+      this.emitEvent("step:start", {
+        step: step.name,
+        stepType: step.type || "http",
+      });
+
+      // run beforeStep middleware
+      await this.runMiddleware("beforeStep", step, context);
+
+      const result = await this.signalScope.run(stepSignal, () =>
+        this.executeStep(step, context, record)
+      );
+      record.status = "passed";
+      record.success = true;
+      record.duration = Date.now() - startedAt;
+      record.result = result;
+
+      // run afterStep middleware
+      await this.runMiddleware("afterStep", step, context, result);
+
+      if (this.verbose) {
+        console.log("✅ Step completed successfully");
+        if (result && result.status !== undefined) {
+          console.log("📊 Response summary:", this.summarizeResponse(result));
+        }
+      } else {
+        console.log("✅ Success");
+      }
+    } catch (error) {
+      record.success = false;
+      record.duration = Date.now() - startedAt;
+      if (error.response && !record.response) {
+        record.response = this.describeResponse(error.response);
+      }
+
+      if (runSignal && runSignal.aborted) {
+        record.status = "aborted";
+        record.aborted = true;
+        record.error = `Aborted: ${this.abortReason(runSignal)}`;
+        console.error(`⛔ Step aborted: ${this.abortReason(runSignal)}`);
+      } else {
+        record.status = "failed";
+        record.error =
+          stepSignal !== runSignal && stepSignal.aborted
+            ? `Step timed out after ${step.timeout}ms`
+            : error.message;
+        console.error(`❌ Step failed: ${record.error}`);
+      }
+
+      this.emitEvent("step:fail", {
+        step: step.name,
+        status: record.status,
+        duration: record.duration,
+        error: record.error,
+      });
+    }
+
+    this.emitEvent("step:end", {
+      step: step.name,
+      status: record.status,
+      duration: record.duration,
+      record,
+    });
+
+    return record;
+  }
+
+  // returns why a step should be skipped (left out of a partial run, marked
+  // `skip: true`, or by its `when` / `skipIf` conditions), or null when it
+  // should run
+  getSkipReason(step, context) {
+    if (this.deselectedSteps.has(step)) {
+      return this.deselectedSteps.get(step);
+    }
+
+    if (step.skip === true) {
+      return "marked 'skip'";
+    }
 
-    // initialize components
-    this.apiClient = new ApiClient(this.baseUrl, {
-      timeout: options.timeout || 10000,
-      headers: options.headers || {},
-    });
+    if (
+      step.when !== undefined &&
+      !this.evaluateStepCondition(step.when, context)
+    ) {
+      return "'when' condition not met";
+    }
 
-    this.validator = new Validator();
-    this.extractor = new Extractor();
+    if (
+      step.skipIf !== undefined &&
+      this.evaluateStepCondition(step.skipIf, context)
+    ) {
+      return "'skipIf' condition met";
+    }
 
-    // plugin system
-    this.customValidators = new Map();
-    this.customExtractors = new Map();
-    this.stepTypes = new Map();
-    this.middleware = {
-      beforeStep: [],
-      afterStep: [],
-      beforeScenario: [],
-      afterScenario: [],
-    };
-    this.reporters = new Map();
+    return null;
+  }
 
-    // set request delay if specified
-    if (this.requestDelay > 0) {
-      this.apiClient.setRequestDelay(this.requestDelay);
+  // evaluate a step condition against the context: either a function of the
+  // context or a declarative object such as { var: "userRole", equals: "admin" }
+  // using the same checks as extraction conditions
+  evaluateStepCondition(condition, context) {
+    if (typeof condition === "function") {
+      return Boolean(condition(context));
     }
+
+    if (typeof condition === "object" && condition !== null && condition.var) {
+      const value = this.lookupContextValue(condition.var, context);
+      const matched = this.extractor.matchesCondition(value, condition);
+      return Boolean(matched !== undefined ? matched : value);
+    }
+
+    return Boolean(condition);
   }
 
-  // main method to run a scenario configuration
-  async runScenarioConfig(scenario, configVariables = {}) {
-    try {
-      console.log(`\n🚀 Running scenario: ${scenario.name}`);
+  // look a variable up by its literal name first, then as a path such as
+  // `user.roles[0]`
+  lookupContextValue(name, context) {
+    return this.templates.lookup(name, context).value;
+  }
 
-      if (scenario.description) {
-        console.log(`📝 Description: ${scenario.description}`);
-      }
+  async executeStep(step, context, record = {}) {
+    // check for custom step types
+    if (step.type && this.stepTypes.has(step.type)) {
+      const customHandler = this.stepTypes.get(step.type);
+      return await this.raceAbort(customHandler(step, context));
+    }
 
-      if (this.dryRun) {
-        console.log("🔍 DRY RUN MODE - No actual API calls will be made\n");
-      }
+    // built-in group step types
+    if (step.type === "parallel") {
+      return await this.executeParallelStep(step, context, record);
+    }
 
-      // run beforeScenario middleware
-      await this.runMiddleware("beforeScenario", scenario);
+    if (step.type === "forEach") {
+      return await this.executeForEachStep(step, context, record);
+    }
 
-      // initialize context for storing extracted variables
-      const context = { ...configVariables };
-      const results = [];
+    if (step.type === "scenario") {
+      return await this.executeScenarioStep(step, context, record);
+    }
 
-      // log available variables if verbose
-      if (this.verbose && Object.keys(context).length > 0) {
-        console.log("📋 Available config variables:", Object.keys(context));
+    // default HTTP step execution
+    return await this.executeHttpStep(step, context, record);
+  }
+
+  async executeParallelStep(step, context, record) {
+    const concurrency = step.concurrency || 0;
+    console.log(
+      `⚡ Running ${step.steps.length} steps in parallel` +
+        (concurrency ? ` (concurrency: ${concurrency})` : "")
+    );
+
+    // every child works on its own copy of the context so that concurrent
+    // extractions cannot clobber each other while the group is running
+    const snapshot = { ...context };
+    const childContexts = step.steps.map(() => ({ ...snapshot }));
+
+    const children = await mapWithConcurrency(
+      step.steps,
+      concurrency,
+      (child, index) =>
+        this.runStep(child, childContexts[index], `  ↳ ${child.name}`)
+    );
+    record.children = children;
+    this.throwIfAborted();
+
+    // merge whatever the children extracted back into the shared context,
+    // in declaration order so later steps win on conflicting names. Step
+    // outputs are merged by step name, every child having added its own
+    for (const childContext of childContexts) {
+      for (const [key, value] of Object.entries(childContext)) {
+        if (snapshot[key] === value) {
+          continue;
+        }
+        context[key] =
+          key === STEP_OUTPUTS ? { ...context[STEP_OUTPUTS], ...value } : value;
       }
+    }
 
-      // execute steps sequentially
-      for (let i = 0; i < scenario.steps.length; i++) {
-        const step = scenario.steps[i];
-        const stepNumber = i + 1;
+    const failed = children.filter((child) => child.status === "failed");
+    if (failed.length > 0) {
+      throw new Error(
+        `${failed.length} of ${children.length} parallel steps failed: ` +
+          failed.map((child) => child.step).join(", ")
+      );
+    }
 
-        console.log(`\n--- Step ${stepNumber}: ${step.name} ---`);
+    return children;
+  }
 
-        try {
-          // run beforeStep middleware
-          await this.runMiddleware("beforeStep", step, context);
+  async executeForEachStep(step, context, record) {
+    const items =
+      typeof step.items === "string"
+        ? this.lookupContextValue(step.items, context)
+        : step.items;
 
-          const result = await this.executeStep(step, context);
-          results.push({ step: step.name, success: true, result });
+    if (!Array.isArray(items)) {
+      throw new Error(
+        `forEach step expects an array in '${step.items}', got ${typeof items}`
+      );
+    }
 
-          // run afterStep middleware
-          await this.runMiddleware("afterStep", step, context, result);
+    console.log(`🔁 Iterating over ${items.length} items`);
 
-          if (this.verbose) {
-            console.log("✅ Step completed successfully");
-            console.log("📊 Response summary:", this.summarizeResponse(result));
-          } else {
-            console.log("✅ Success");
-          }
-        } catch (error) {
-          console.error(`❌ Step failed: ${error.message}`);
-          results.push({
-            step: step.name,
-            success: false,
-            error: error.message,
-          });
+    const itemName = step.as || "item";
+    record.children = [];
 
-          // stop execution on first failure
-          throw new Error(
-            `Scenario failed at step ${stepNumber}: ${step.name}`
-          );
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const iteration = { step: `${step.name}[${index}]`, item, index };
+      record.children.push(iteration);
+
+      // bind {item} and {index} for this iteration only
+      const iterationContext = { ...context, [itemName]: item, index };
+      const children = await this.runSteps(
+        step.steps,
+        iterationContext,
+        [],
+        (child) => `  ↳ [${index}] ${child.name}`
+      );
+
+      // carry variables extracted during the iteration over to the shared
+      // context, leaving the loop bindings behind
+      for (const [key, value] of Object.entries(iterationContext)) {
+        if (key !== itemName && key !== "index" && context[key] !== value) {
+          context[key] = value;
         }
       }
 
-      // run afterScenario middleware
-      await this.runMiddleware("afterScenario", scenario, context, results);
+      const failed = children.some((child) => child.status === "failed");
+      iteration.status = this.isAborted()
+        ? "aborted"
+        : failed
+        ? "failed"
+        : "passed";
+      iteration.success = !failed;
+      iteration.children = children;
+      this.throwIfAborted();
 
-      // generate reports
-      await this.generateReports(scenario.name, results, context);
+      if (failed && !this.shouldContinueOnError(step)) {
+        throw new Error(`Iteration ${index} of ${items.length} failed`);
+      }
+    }
 
-      // print summary
-      this.printSummary(scenario.name, results, context);
-    } catch (error) {
-      console.error(`\n💥 Scenario execution failed: ${error.message}`);
-      throw error;
+    const failedIterations = record.children.filter(
+      (iteration) => iteration.status === "failed"
+    );
+    if (failedIterations.length > 0) {
+      throw new Error(
+        `${failedIterations.length} of ${items.length} iterations failed`
+      );
     }
+
+    return record.children;
   }
 
-  async executeStep(step, context) {
-    // check for custom step types
-    if (step.type && this.stepTypes.has(step.type)) {
-      const customHandler = this.stepTypes.get(step.type);
-      return await customHandler(step, context);
+  // run another scenario file as a sub-flow. It only sees its explicit
+  // `inputs` (substituted against the parent context) and hands back the
+  // variables named in `outputs` ({ parentName: "childName" })
+  async executeScenarioStep(step, context, record) {
+    this.assertNoIncludeCycle(step.scenario);
+    const scenario = this.loader.loadScenario(step.scenario);
+
+    console.log(`📦 Running sub-scenario: ${scenario.name}`);
+
+    const childContext = step.inputs
+      ? this.substituteVariables(step.inputs, context)
+      : {};
+
+    // the sub-scenario's own defaults apply to its steps
+    const { children, teardown } = await this.withScenarioDefaults(
+      scenario,
+      async () => {
+        const children = await this.runSteps(
+          scenario.steps,
+          childContext,
+          [],
+          (child) => `  ↳ ${step.scenario} › ${child.name}`
+        );
+        return {
+          children,
+          teardown: await this.runTeardown(scenario, childContext, children),
+        };
+      }
+    );
+
+    record.children = children;
+    if (teardown.length > 0) {
+      record.teardown = teardown;
     }
+    this.throwIfAborted();
 
-    // default HTTP step execution
-    return await this.executeHttpStep(step, context);
+    const outputs = {};
+    for (const [parentName, childName] of Object.entries(step.outputs || {})) {
+      const value = this.lookupContextValue(childName, childContext);
+      if (value !== undefined) {
+        outputs[parentName] = value;
+      }
+    }
+
+    if (Object.keys(outputs).length > 0) {
+      Object.assign(context, outputs);
+      record.extracted = outputs;
+      this.emitEvent("extract", { step: step.name, variables: outputs });
+    }
+
+    const failed = [...children, ...teardown].filter(
+      (child) => child.status === "failed"
+    );
+    if (failed.length > 0) {
+      throw new Error(
+        `Sub-scenario '${step.scenario}' failed at: ${failed
+          .map((child) => child.step)
+          .join(", ")}`
+      );
+    }
+
+    return children;
+  }
+
+  // walk the static include graph starting at a scenario file and throw if
+  // it leads back to a scenario that is already on the path
+  assertNoIncludeCycle(scenarioName, chain = []) {
+    if (chain.includes(scenarioName)) {
+      throw new Error(
+        `Scenario include cycle detected: ${[...chain, scenarioName].join(
+          " -> "
+        )}`
+      );
+    }
+
+    const scenario = this.loader.loadScenario(scenarioName);
+    const steps = [...scenario.steps, ...(scenario.teardown || [])];
+
+    for (const included of this.collectIncludedScenarios(steps)) {
+      this.assertNoIncludeCycle(included, [...chain, scenarioName]);
+    }
+  }
+
+  collectIncludedScenarios(steps, names = new Set()) {
+    for (const step of steps) {
+      if (step.type === "scenario") {
+        names.add(step.scenario);
+      }
+
+      if (Array.isArray(step.steps)) {
+        this.collectIncludedScenarios(step.steps, names);
+      }
+    }
+
+    return names;
+  }
+
+  // steps that executeStep() sends as an HTTP request
+  isHttpStep(step) {
+    return (
+      !(step.type && this.stepTypes.has(step.type)) &&
+      !["parallel", "forEach", "scenario"].includes(step.type)
+    );
   }
 
-  async executeHttpStep(step, context) {
+  // the request an HTTP step would send with the current context: method,
+  // url, body and headers, with variables substituted and `transform` applied
+  prepareHttpRequest(step, context) {
     // substitute variables in URL and body
-    const url = this.substituteVariables(step.url, context);
+    const url = this.templates.render(step.url, context);
     let body = step.body
       ? this.substituteVariables(step.body, context)
       : undefined;
@@ -137,15 +1345,34 @@ class ScenarioRunner {
     }
 
     // merge headers: API client defaults + step-specific headers
-    // (step headers take precedence)
+    // (step headers take precedence). The defaults (config `headers` and
+    // --header) are filled in here too, so that they can use {env.NAME}
     const stepHeaders = step.headers
       ? this.substituteVariables(step.headers, context)
       : {};
-    const mergedHeaders = {
-      ...this.apiClient.client.defaults.headers,
+    const headers = {
+      ...this.substituteVariables(
+        this.apiClient.client.defaults.headers,
+        context
+      ),
       ...stepHeaders,
     };
 
+    return { method: step.method, url, body, headers, stepHeaders };
+  }
+
+  async executeHttpStep(step, context, record = {}) {
+    // a request the inspector has shown is sent exactly as shown
+    const {
+      url,
+      body,
+      headers: mergedHeaders,
+      stepHeaders,
+    } = this.preparedRequests.get(step) ||
+    this.prepareHttpRequest(step, context);
+
+    record.request = { method: step.method, url, headers: stepHeaders, body };
+
     if (this.verbose) {
       console.log(`🔗 ${step.method} ${url}`);
       if (body) {
@@ -166,11 +1393,45 @@ class ScenarioRunner {
         headers: {},
       };
       console.log("🎭 Mock response (dry run)");
-    } else {
-      // make actual API call
-      response = await this.apiClient.request(step.method, url, body, {
-        headers: mergedHeaders,
+      this.emitEvent("request", {
+        step: step.name,
+        method: step.method,
+        url,
+        headers: stepHeaders,
+        body,
+        dryRun: true,
       });
+      this.emitEvent("response", {
+        step: step.name,
+        method: step.method,
+        url,
+        status: response.status,
+        headers: response.headers,
+        data: response.data,
+        duration: 0,
+        dryRun: true,
+      });
+    } else {
+      // make actual API call, retrying according to the step's policy
+      const retryPolicy = this.resolveRetryPolicy(step);
+      const request = () =>
+        this.sendTrackedRequest(step, url, body, mergedHeaders, stepHeaders);
+      const sendRequest = retryPolicy
+        ? () => this.requestWithRetry(retryPolicy, request, record, step)
+        : request;
+
+      try {
+        response = step.poll
+          ? await this.pollUntil(step.poll, sendRequest, record, context)
+          : await sendRequest();
+      } catch (error) {
+        // an error response is kept too, for steps that run after it with
+        // continueOnError
+        if (error.response) {
+          this.recordStepOutput(step, context, record.request, error.response);
+        }
+        throw error;
+      }
     }
 
     if (this.verbose) {
@@ -188,9 +1449,22 @@ class ScenarioRunner {
       }
     }
 
+    record.response = this.describeResponse(response);
+    this.recordStepOutput(step, context, record.request, response);
+
     // run validation
     if (step.validate) {
-      const isValid = await this.validateResponse(step.validate, response);
+      const isValid = await this.validateResponse(
+        step.validate,
+        response,
+        context
+      );
+      record.validation = { passed: Boolean(isValid) };
+      this.emitEvent("validation", {
+        step: step.name,
+        passed: Boolean(isValid),
+        status: response.status,
+      });
       if (!isValid) {
         throw new Error(`Validation failed for step: ${step.name}`);
       }
@@ -200,6 +1474,9 @@ class ScenarioRunner {
     if (step.extract) {
       const extracted = this.extractFromResponse(step.extract, response);
       Object.assign(context, extracted);
+      this.registerSecrets(context);
+      record.extracted = extracted;
+      this.emitEvent("extract", { step: step.name, variables: extracted });
 
       if (this.verbose && Object.keys(extracted).length > 0) {
         console.log("📋 Extracted variables:", extracted);
@@ -209,14 +1486,267 @@ class ScenarioRunner {
     return response;
   }
 
-  async validateResponse(validator, response) {
+  // keep what an HTTP step sent and got back under `steps.<name>`, whether
+  // or not it extracts anything. A step that runs again (in a loop, say)
+  // replaces its earlier outputs. The steps object is replaced rather than
+  // changed, as contexts copied for parallel steps and loops share it
+  recordStepOutput(step, context, request, response) {
+    const headers = { ...response.headers };
+    context[STEP_OUTPUTS] = {
+      ...context[STEP_OUTPUTS],
+      [step.name]: {
+        request,
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          headers,
+          data: response.data,
+        },
+        status: response.status,
+        headers,
+        body: response.data,
+      },
+    };
+  }
+
+  // send one HTTP request, emitting `request` and `response` events around
+  // it (failed requests get a `response` event with their `error`)
+  async sendTrackedRequest(step, url, body, headers, stepHeaders) {
+    this.emitEvent("request", {
+      step: step.name,
+      method: step.method,
+      url,
+      headers: stepHeaders,
+      body,
+    });
+
+    const startedAt = Date.now();
+    try {
+      const response = await this.apiClient.request(step.method, url, body, {
+        headers,
+        signal: this.currentSignal(),
+      });
+      this.emitEvent("response", {
+        step: step.name,
+        method: step.method,
+        url,
+        status: response.status,
+        headers: response.headers,
+        data: response.data,
+        duration: Date.now() - startedAt,
+      });
+      return response;
+    } catch (error) {
+      this.emitEvent("response", {
+        step: step.name,
+        method: step.method,
+        url,
+        status: error.status,
+        headers: error.response ? error.response.headers : undefined,
+        data: error.response ? error.response.data : undefined,
+        duration: Date.now() - startedAt,
+        error: error.message,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  // step policy > scenario policy > runner default; `retry: false` on a
+  // step or scenario turns retries off
+  resolveRetryPolicy(step) {
+    for (const policy of [
+      step.retry,
+      this.currentScenarioDefaults().retry,
+      this.retry,
+    ]) {
+      if (policy === false) {
+        return null;
+      }
+      if (policy) {
+        return policy;
+      }
+    }
+    return null;
+  }
+
+  // send a request, retrying failures that match the policy's `on` list
+  // (default: network errors and 5xx) with fixed or exponential backoff,
+  // and record every attempt on the step result
+  async requestWithRetry(policy, sendRequest, record, step = {}) {
+    const {
+      attempts = 3,
+      backoff = "fixed",
+      baseDelay = 1000,
+      maxDelay = 30000,
+      jitter = false,
+      on,
+    } = policy;
+
+    record.attempts = record.attempts || [];
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const response = await sendRequest();
+        record.attempts.push({
+          attempt,
+          status: response.status,
+          duration: Date.now() - startedAt,
+        });
+        return response;
+      } catch (error) {
+        const entry = {
+          attempt,
+          status: error.status,
+          code: error.code,
+          error: error.message,
+          duration: Date.now() - startedAt,
+        };
+        record.attempts.push(entry);
+
+        if (
+          attempt >= attempts ||
+          this.isAborted() ||
+          !this.isRetryableError(error, on)
+        ) {
+          throw error;
+        }
+
+        let delay =
+          backoff === "exponential"
+            ? baseDelay * Math.pow(2, attempt - 1)
+            : baseDelay;
+        delay = Math.min(delay, maxDelay);
+
+        // jitter: true spreads the delay over [0, delay], a number between
+        // 0 and 1 only shaves off up to that fraction of it
+        const jitterRatio = jitter === true ? 1 : Number(jitter) || 0;
+        delay = Math.round(delay - Math.random() * delay * jitterRatio);
+        entry.delay = delay;
+
+        console.log(
+          `🔁 Attempt ${attempt}/${attempts} failed (${
+            error.status || error.code || error.message
+          }), retrying in ${delay}ms...`
+        );
+        this.emitEvent("retry", {
+          step: step.name,
+          attempt,
+          attempts,
+          delay,
+          status: error.status,
+          code: error.code,
+          error: error.message,
+        });
+        await sleep(delay, undefined, { signal: this.currentSignal() });
+      }
+    }
+  }
+
+  // match an error against a retry `on` list of status codes (429),
+  // status classes ("5xx") and error codes ("ECONNRESET")
+  isRetryableError(error, on) {
+    if (!on) {
+      return !error.status || error.status >= 500;
+    }
+
+    return on.some((condition) => {
+      if (typeof condition === "number") {
+        return error.status === condition;
+      }
+
+      const statusClass = /^([1-5])xx$/i.exec(condition);
+      if (statusClass) {
+        return (
+          error.status !== undefined &&
+          Math.floor(error.status / 100) === Number(statusClass[1])
+        );
+      }
+
+      return error.code === condition;
+    });
+  }
+
+  // repeat a request until its response satisfies `poll.until`, waiting
+  // `interval` ms between attempts (multiplied by `backoff` after each one,
+  // up to `maxInterval`) and failing once `timeout` ms have passed
+  async pollUntil(poll, sendRequest, record, context = {}) {
+    const {
+      until,
+      interval = 1000,
+      timeout = 30000,
+      backoff = 1,
+      maxInterval = Infinity,
+    } = poll;
+
+    const startedAt = Date.now();
+    let delay = interval;
+    let attempts = 0;
+    let lastResponse;
+    let lastError;
+
+    for (;;) {
+      attempts++;
+
+      try {
+        lastResponse = await sendRequest();
+        lastError = undefined;
+      } catch (error) {
+        if (this.isAborted()) {
+          throw error;
+        }
+
+        // error responses count as "not ready yet" while polling
+        lastResponse = undefined;
+        lastError = error;
+      }
+
+      const ready =
+        lastResponse !== undefined &&
+        (await this.validateResponse(until, lastResponse, context));
+
+      record.poll = {
+        attempts,
+        elapsed: Date.now() - startedAt,
+        lastResponse,
+      };
+
+      if (ready) {
+        console.log(`⏱️  Poll condition met after ${attempts} attempt(s)`);
+        return lastResponse;
+      }
+
+      if (Date.now() - startedAt + delay > timeout) {
+        break;
+      }
+
+      console.log(
+        `⏳ Poll attempt ${attempts} not ready, retrying in ${delay}ms...`
+      );
+      await sleep(delay, undefined, { signal: this.currentSignal() });
+      delay = Math.min(delay * backoff, maxInterval);
+    }
+
+    throw new Error(
+      `Polling timed out after ${attempts} attempt(s) in ${timeout}ms` +
+        (lastError
+          ? `: ${lastError.message}`
+          : `, last status ${lastResponse.status}`)
+    );
+  }
+
+  // validators get the response and the context, so that they can compare
+  // it with earlier steps' outputs
+  async validateResponse(validator, response, context = {}) {
     // check for custom validators first
     if (typeof validator === "string" && this.customValidators.has(validator)) {
       const customValidator = this.customValidators.get(validator);
-      return await customValidator(response);
+      return await customValidator(response, context);
     }
 
-    return await this.validator.validate(validator, response);
+    return await this.validator.validate(validator, response, context);
   }
 
   extractFromResponse(extractor, response) {
@@ -235,14 +1765,27 @@ class ScenarioRunner {
     return this.extractor.extract(processedExtractor, response);
   }
 
+  // mask the current values of the secret variables for the rest of the run
+  registerSecrets(context) {
+    for (const name of this.secretNames) {
+      const { found, value } = this.templates.lookup(name, context);
+      if (!found) {
+        continue;
+      }
+
+      if (this.secretScope) {
+        this.secretScope.add(value);
+      } else {
+        addSecret(value);
+      }
+    }
+  }
+
+  // fill in the placeholders in a value and everything nested in it; a
+  // string that is a single placeholder takes the variable's own type
   substituteVariables(obj, context) {
     if (typeof obj === "string") {
-      return obj.replace(/\{([A-Za-z0-9-_.]+)\}/g, (match, key) => {
-        if (context.hasOwnProperty(key)) {
-          return context[key];
-        }
-        return match; // keep original if variable not found
-      });
+      return this.templates.resolve(obj, context);
     }
 
     if (typeof obj === "object" && obj !== null && obj.func && obj.params) {
@@ -265,6 +1808,32 @@ class ScenarioRunner {
     return obj;
   }
 
+  // names of the variables referenced anywhere in a value, e.g. a step's
+  // url, body and headers
+  collectVariableReferences(obj, names = new Set()) {
+    if (typeof obj === "string") {
+      this.templates.references(obj, names);
+    } else if (Array.isArray(obj)) {
+      obj.forEach((item) => this.collectVariableReferences(item, names));
+    } else if (typeof obj === "object" && obj !== null) {
+      Object.values(obj).forEach((value) =>
+        this.collectVariableReferences(value, names)
+      );
+    }
+
+    return names;
+  }
+
+  // the parts of a response kept on a step's result record
+  describeResponse(response) {
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      data: response.data,
+    };
+  }
+
   summarizeResponse(response) {
     return {
       status: response.status,
@@ -273,32 +1842,151 @@ class ScenarioRunner {
     };
   }
 
-  printSummary(scenarioName, results, context) {
+  // `interruption` is why the run ended early, if it did
+  printSummary(
+    scenarioName,
+    results,
+    context,
+    teardownResults = [],
+    interruption = null
+  ) {
+    this.registerSecrets(context);
     console.log("\n" + "=".repeat(50));
-    console.log(`📋 SCENARIO SUMMARY: ${scenarioName}`);
+    console.log(
+      `📋 SCENARIO SUMMARY: ${scenarioName}` +
+        (this.datasetRow ? ` (dataset row ${this.datasetRow.index})` : "")
+    );
     console.log("=".repeat(50));
+    console.log(`🎲 Seed: ${this.seed}`);
 
-    const successful = results.filter((r) => r.success).length;
+    const successful = results.filter((r) => r.status === "passed").length;
+    const skipped = results.filter((r) => r.status === "skipped").length;
+    const failed = results.filter((r) => r.status === "failed").length;
+    const blocked = results.filter((r) => r.status === "blocked").length;
+    const aborted = results.filter((r) => r.status === "aborted").length;
     const total = results.length;
 
     console.log(`✅ Successful steps: ${successful}/${total}`);
+    if (skipped > 0) {
+      console.log(`⏭️  Skipped steps: ${skipped}`);
+    }
+    if (failed > 0) {
+      console.log(`❌ Failed steps: ${failed}`);
+    }
+    if (blocked > 0) {
+      console.log(`🚫 Blocked steps: ${blocked}`);
+    }
+    if (aborted > 0) {
+      console.log(`⛔ Aborted steps: ${aborted}`);
+    }
 
-    if (successful === total) {
+    if (interruption) {
+      console.log(`⏹️  Run ended early: ${interruption}`);
+    } else if (failed === 0 && blocked === 0 && aborted === 0) {
       console.log("🎉 All steps completed successfully!");
     } else {
       console.log("❌ Some steps failed");
     }
 
-    if (Object.keys(context).length > 0) {
+    console.log("\n📝 Step results:");
+    this.printStepResults(results, "  ");
+
+    if (teardownResults.length > 0) {
+      const teardownPassed = teardownResults.filter(
+        (r) => r.status === "passed"
+      ).length;
+      console.log(
+        `\n🧹 Teardown: ${teardownPassed}/${teardownResults.length} steps succeeded`
+      );
+      this.printStepResults(teardownResults, "  ");
+    }
+
+    const { [STEP_OUTPUTS]: stepOutputs, ...variables } = context;
+    if (Object.keys(variables).length > 0) {
       console.log("\n📊 Final context variables:");
-      Object.entries(context).forEach(([key, value]) => {
+      Object.entries(variables).forEach(([key, value]) => {
         console.log(`  ${key}: ${value}`);
       });
     }
+    if (stepOutputs && Object.keys(stepOutputs).length > 0) {
+      console.log(`📦 Step outputs: ${Object.keys(stepOutputs).join(", ")}`);
+    }
 
     console.log("\n" + "=".repeat(50));
   }
 
+  printDatasetSummary(scenarioName, rowResults, totalRows) {
+    console.log("\n" + "=".repeat(50));
+    console.log(`📚 DATASET SUMMARY: ${scenarioName}`);
+    console.log("=".repeat(50));
+
+    for (const row of rowResults) {
+      let line = `${row.success ? "✅" : "❌"} Row ${
+        row.index
+      }: ${this.formatDatasetRow(row.values)}`;
+      if (!row.success) {
+        line += ` - ${row.error}`;
+      }
+      console.log(line);
+    }
+
+    const passed = rowResults.filter((row) => row.success).length;
+    console.log(`\n📊 Rows passed: ${passed}/${totalRows}`);
+    console.log("=".repeat(50));
+  }
+
+  formatDatasetRow(values) {
+    return Object.entries(values)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(", ");
+  }
+
+  printStepResults(results, indent) {
+    const icons = {
+      passed: "✅",
+      failed: "❌",
+      skipped: "⏭️ ",
+      blocked: "🚫",
+      aborted: "⛔",
+    };
+
+    for (const record of results) {
+      let line = `${indent}${icons[record.status] || "•"} ${record.step}`;
+      if (record.status === "skipped" || record.status === "blocked") {
+        line += ` (${record.status}: ${record.reason})`;
+      } else if (record.error) {
+        line += ` - ${record.error}`;
+      }
+      console.log(line);
+
+      if (record.children) {
+        this.printStepResults(record.children, indent + "  ");
+      }
+
+      if (record.teardown) {
+        console.log(`${indent}  🧹 teardown`);
+        this.printStepResults(record.teardown, indent + "    ");
+      }
+    }
+  }
+
+  // emit a typed event (with a `type` and a `timestamp`), and the same event
+  // under "event" for listeners that follow everything. A throwing listener
+  // is reported but does not break the run
+  emitEvent(type, payload) {
+    const event = { type, timestamp: Date.now(), ...payload };
+
+    for (const name of [type, "event"]) {
+      try {
+        this.emit(name, event);
+      } catch (error) {
+        console.warn(`Event listener failed for ${name}:`, error.message);
+      }
+    }
+
+    return event;
+  }
+
   // plugin system methods
   addValidator(name, validatorFn) {
     this.customValidators.set(name, validatorFn);
@@ -308,6 +1996,18 @@ class ScenarioRunner {
     this.customExtractors.set(name, extractorFn);
   }
 
+  // a filter for `{{ value | name: args }}` templates, called as
+  // filterFn(value, ...args)
+  addFilter(name, filterFn) {
+    this.templates.addFilter(name, filterFn);
+  }
+
+  // a function for `{$name}` / `{$name(args)}` templates, called with the
+  // (literal) arguments; its return value is inserted
+  addTemplateFunction(name, fn) {
+    this.templates.addFunction(name, fn);
+  }
+
   addStepType(type, handlerFn) {
     this.stepTypes.set(type, handlerFn);
   }
@@ -331,22 +2031,36 @@ class ScenarioRunner {
     }
   }
 
-  async generateReports(scenarioName, results, context) {
+  // step counts by status, as found in run results and reports
+  summarizeResults(results, teardownResults = []) {
+    const count = (status) => results.filter((r) => r.status === status).length;
+
+    return {
+      total: results.length,
+      successful: count("passed"),
+      skipped: count("skipped"),
+      failed: count("failed"),
+      blocked: count("blocked"),
+      aborted: count("aborted"),
+      teardownFailed: teardownResults.filter((r) => r.status === "failed")
+        .length,
+    };
+  }
+
+  async generateReports(scenarioName, results, context, teardownResults = []) {
     const reportData = {
       scenarioName,
       results,
+      teardown: teardownResults,
       context,
+      datasetRow: this.datasetRow || undefined,
       timestamp: new Date().toISOString(),
-      summary: {
-        total: results.length,
-        successful: results.filter((r) => r.success).length,
-        failed: results.filter((r) => !r.success).length,
-      },
+      summary: this.summarizeResults(results, teardownResults),
     };
 
     for (const [name, reporter] of this.reporters) {
       try {
-        await reporter(reportData);
+        await reporter(redact(reportData));
       } catch (error) {
         console.warn(`Report generation failed for ${name}:`, error.message);
       }
@@ -20,6 +20,7 @@ class ScenarioLoader {
 
       // validate scenario structure
       this.validateScenario(scenario, scenarioName);
+      this.resolveDatasetPath(scenario, scenarioPath);
 
       return scenario;
     } catch (error) {
@@ -47,6 +48,7 @@ class ScenarioLoader {
 
       const scenarioName = path.basename(filePath, path.extname(filePath));
       this.validateScenario(scenario, scenarioName);
+      this.resolveDatasetPath(scenario, fullPath);
 
       return scenario;
     } catch (error) {
@@ -104,11 +106,55 @@ class ScenarioLoader {
       );
     }
 
+    this.validateRetryPolicy(scenario.retry, `scenario '${scenarioName}'`);
+    this.validateStringList(
+      scenario.tags,
+      "tags",
+      `scenario '${scenarioName}'`
+    );
+    this.validateStringList(
+      scenario.dependsOn,
+      "dependsOn",
+      `scenario '${scenarioName}'`
+    );
+    this.validateStringList(
+      scenario.exports,
+      "exports",
+      `scenario '${scenarioName}'`
+    );
+    this.validateStringList(
+      scenario.secrets,
+      "secrets",
+      `scenario '${scenarioName}'`
+    );
+
     // validate each step
     scenario.steps.forEach((step, index) => {
       this.validateStep(step, index, scenarioName);
     });
 
+    if (
+      scenario.dataset !== undefined &&
+      typeof scenario.dataset !== "string" &&
+      !Array.isArray(scenario.dataset)
+    ) {
+      throw new Error(
+        `Invalid scenario '${scenarioName}': 'dataset' must be a file path or an array of rows`
+      );
+    }
+
+    if (scenario.teardown !== undefined) {
+      if (!Array.isArray(scenario.teardown)) {
+        throw new Error(
+          `Invalid scenario '${scenarioName}': 'teardown' must be an array of steps`
+        );
+      }
+
+      scenario.teardown.forEach((step, index) => {
+        this.validateStep(step, index, scenarioName);
+      });
+    }
+
     return true;
   }
 
@@ -157,6 +203,51 @@ class ScenarioLoader {
       }
     }
 
+    // for parallel group steps
+    if (step.type === "parallel") {
+      this.validateChildSteps(step, scenarioName);
+
+      if (
+        step.concurrency !== undefined &&
+        (!Number.isInteger(step.concurrency) || step.concurrency < 1)
+      ) {
+        throw new Error(
+          `Invalid step '${step.name}' in scenario '${scenarioName}': 'concurrency' must be a positive integer`
+        );
+      }
+    }
+
+    // for forEach loop steps
+    if (step.type === "forEach") {
+      if (typeof step.items !== "string" && !Array.isArray(step.items)) {
+        throw new Error(
+          `Invalid step '${step.name}' in scenario '${scenarioName}': 'items' must be a context variable name or an array`
+        );
+      }
+
+      this.validateChildSteps(step, scenarioName);
+    }
+
+    // for nested scenario steps
+    if (step.type === "scenario") {
+      if (!step.scenario || typeof step.scenario !== "string") {
+        throw new Error(
+          `Invalid step '${step.name}' in scenario '${scenarioName}': missing or invalid 'scenario' property`
+        );
+      }
+
+      for (const key of ["inputs", "outputs"]) {
+        if (
+          step[key] !== undefined &&
+          (typeof step[key] !== "object" || step[key] === null)
+        ) {
+          throw new Error(
+            `Invalid step '${step.name}' in scenario '${scenarioName}': '${key}' must be an object`
+          );
+        }
+      }
+    }
+
     // validate optional properties if present
     if (
       step.validate &&
@@ -175,15 +266,253 @@ class ScenarioLoader {
       );
     }
 
+    // `steps` holds the step outputs (see ScenarioRunner.recordStepOutput)
+    if (
+      step.extract &&
+      Object.prototype.hasOwnProperty.call(step.extract, "steps")
+    ) {
+      throw new Error(
+        `Invalid step '${step.name}' in scenario '${scenarioName}': 'steps' is reserved for step outputs and cannot be extracted`
+      );
+    }
+
     if (step.transform && typeof step.transform !== "function") {
       throw new Error(
         `Invalid step '${step.name}' in scenario '${scenarioName}': 'transform' must be a function`
       );
     }
 
+    if (step.poll !== undefined) {
+      if (typeof step.poll !== "object" || step.poll === null) {
+        throw new Error(
+          `Invalid step '${step.name}' in scenario '${scenarioName}': 'poll' must be an object`
+        );
+      }
+
+      if (!step.poll.until) {
+        throw new Error(
+          `Invalid step '${step.name}' in scenario '${scenarioName}': 'poll' needs an 'until' validator`
+        );
+      }
+    }
+
+    this.validateRetryPolicy(
+      step.retry,
+      `step '${step.name}' in scenario '${scenarioName}'`
+    );
+    this.validateStringList(
+      step.tags,
+      "tags",
+      `step '${step.name}' in scenario '${scenarioName}'`
+    );
+
+    if (
+      step.timeout !== undefined &&
+      !(Number.isInteger(step.timeout) && step.timeout > 0)
+    ) {
+      throw new Error(
+        `Invalid step '${step.name}' in scenario '${scenarioName}': 'timeout' must be a positive number of milliseconds`
+      );
+    }
+
+    for (const key of ["skip", "only"]) {
+      if (step[key] !== undefined && typeof step[key] !== "boolean") {
+        throw new Error(
+          `Invalid step '${step.name}' in scenario '${scenarioName}': '${key}' must be a boolean`
+        );
+      }
+    }
+
+    for (const key of ["when", "skipIf"]) {
+      const condition = step[key];
+      if (
+        condition !== undefined &&
+        typeof condition !== "function" &&
+        typeof condition !== "boolean" &&
+        (typeof condition !== "object" || condition === null || !condition.var)
+      ) {
+        throw new Error(
+          `Invalid step '${step.name}' in scenario '${scenarioName}': '${key}' must be a function, a boolean, or an object with a 'var' property`
+        );
+      }
+    }
+
     return true;
   }
 
+  validateStringList(value, property, owner) {
+    if (
+      value !== undefined &&
+      (!Array.isArray(value) || value.some((item) => typeof item !== "string"))
+    ) {
+      throw new Error(
+        `Invalid ${owner}: '${property}' must be an array of strings`
+      );
+    }
+  }
+
+  validateRetryPolicy(retry, owner) {
+    if (retry === undefined || retry === false) {
+      return;
+    }
+
+    if (typeof retry !== "object" || retry === null) {
+      throw new Error(`Invalid ${owner}: 'retry' must be an object or false`);
+    }
+
+    if (
+      retry.attempts !== undefined &&
+      (!Number.isInteger(retry.attempts) || retry.attempts < 1)
+    ) {
+      throw new Error(
+        `Invalid ${owner}: 'retry.attempts' must be a positive integer`
+      );
+    }
+
+    if (
+      retry.backoff !== undefined &&
+      !["fixed", "exponential"].includes(retry.backoff)
+    ) {
+      throw new Error(
+        `Invalid ${owner}: 'retry.backoff' must be "fixed" or "exponential"`
+      );
+    }
+
+    if (retry.on !== undefined && !Array.isArray(retry.on)) {
+      throw new Error(`Invalid ${owner}: 'retry.on' must be an array`);
+    }
+  }
+
+  // validate the nested 'steps' of a group step (parallel, forEach)
+  validateChildSteps(step, scenarioName) {
+    if (!Array.isArray(step.steps) || step.steps.length === 0) {
+      throw new Error(
+        `Invalid step '${step.name}' in scenario '${scenarioName}': ${step.type} steps need a non-empty 'steps' array`
+      );
+    }
+
+    step.steps.forEach((child, index) => {
+      this.validateStep(child, index, scenarioName);
+    });
+  }
+
+  // a dataset path in a scenario file is relative to that file, so the
+  // scenario runs the same from any working directory
+  resolveDatasetPath(scenario, scenarioPath) {
+    if (typeof scenario.dataset === "string") {
+      scenario.dataset = path.resolve(
+        path.dirname(scenarioPath),
+        scenario.dataset
+      );
+    }
+  }
+
+  // load the rows of a data-driven run: an inline array of objects, or the
+  // path to a .json file holding one or a .csv file with a header row
+  loadDataset(source) {
+    if (Array.isArray(source)) {
+      return this.validateDataset(source, "inline dataset");
+    }
+
+    const fullPath = path.resolve(source);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`Dataset file not found: ${fullPath}`);
+    }
+
+    try {
+      const content = fs.readFileSync(fullPath, "utf8");
+      const extension = path.extname(fullPath).toLowerCase();
+
+      if (extension === ".json") {
+        return this.validateDataset(JSON.parse(content), source);
+      }
+
+      if (extension === ".csv") {
+        return this.validateDataset(this.parseCsv(content), source);
+      }
+
+      throw new Error("unsupported file type, expected .csv or .json");
+    } catch (error) {
+      throw new Error(`Failed to load dataset '${source}': ${error.message}`);
+    }
+  }
+
+  validateDataset(rows, source) {
+    if (!Array.isArray(rows)) {
+      throw new Error(`Invalid dataset '${source}': must be an array of rows`);
+    }
+
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== "object" || Array.isArray(row)) {
+        throw new Error(
+          `Invalid dataset '${source}': row ${index + 1} must be an object`
+        );
+      }
+    });
+
+    return rows;
+  }
+
+  // minimal RFC 4180 parser: quoted fields may contain commas, newlines and
+  // doubled quotes; the first row names the columns
+  parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, "");
+    const records = [];
+    let record = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        record.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") {
+          i++;
+        }
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== "" || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    // drop blank lines
+    const [header, ...rows] = records.filter(
+      (values) => values.length > 1 || values[0].trim() !== ""
+    );
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.map((column) => column.trim());
+    return rows.map((values) =>
+      Object.fromEntries(
+        columns.map((column, index) => [column, values[index] ?? ""])
+      )
+    );
+  }
+
   // helper method to create scenario from template
   createScenarioFromTemplate(name, template = "basic") {
     const templates = {
@@ -288,11 +617,15 @@ class ScenarioLoader {
   getScenarioMetadata(scenarioName) {
     try {
       const scenario = this.loadScenario(scenarioName);
+      const steps = scenario.steps || [];
       return {
         name: scenario.name,
         description: scenario.description || "",
-        stepCount: scenario.steps ? scenario.steps.length : 0,
-        stepNames: scenario.steps ? scenario.steps.map((s) => s.name) : [],
+        stepCount: steps.length,
+        stepNames: steps.map((s) => s.name),
+        tags: scenario.tags || [],
+        stepTags: [...new Set(steps.flatMap((s) => s.tags || []))],
+        dependsOn: scenario.dependsOn || [],
       };
     } catch (error) {
       return {
@@ -300,27 +633,114 @@ class ScenarioLoader {
         description: "Failed to load",
         stepCount: 0,
         stepNames: [],
+        tags: [],
+        stepTags: [],
+        dependsOn: [],
         error: error.message,
       };
     }
   }
 
-  // search scenarios by name or description
+  // search scenarios by file name, name, description or step names, with
+  // either a (case-insensitive) string or a RegExp
   searchScenarios(query) {
     const allScenarios = this.listScenarios();
-    const searchTerm = query.toLowerCase();
+    const matches =
+      query instanceof RegExp
+        ? (text) => query.test(text)
+        : (text) => text.toLowerCase().includes(query.toLowerCase());
 
     return allScenarios.filter((scenarioName) => {
       const metadata = this.getScenarioMetadata(scenarioName);
       return (
-        metadata.name.toLowerCase().includes(searchTerm) ||
-        metadata.description.toLowerCase().includes(searchTerm) ||
-        metadata.stepNames.some((stepName) =>
-          stepName.toLowerCase().includes(searchTerm)
-        )
+        matches(scenarioName) ||
+        matches(metadata.name) ||
+        matches(metadata.description) ||
+        metadata.stepNames.some((stepName) => matches(stepName))
       );
     });
   }
+
+  // scenarios matching all of the given filters: any of `tags` (on the
+  // scenario or on one of its steps), none of `excludeTags` on the scenario
+  // itself, and the `grep` pattern (see searchScenarios)
+  filterScenarios({ tags = [], excludeTags = [], grep } = {}) {
+    let pattern;
+    if (grep) {
+      try {
+        pattern = new RegExp(grep, "i");
+      } catch (error) {
+        throw new Error(`Invalid grep pattern '${grep}': ${error.message}`);
+      }
+    }
+
+    const candidates = pattern
+      ? this.searchScenarios(pattern)
+      : this.listScenarios();
+
+    return candidates.filter((scenarioName) => {
+      const metadata = this.getScenarioMetadata(scenarioName);
+      if (metadata.error) {
+        // tags of a broken scenario are unknown; keep it (so that it gets
+        // reported) unless the selection depends on tags
+        return tags.length === 0;
+      }
+
+      const allTags = [...metadata.tags, ...metadata.stepTags];
+      if (tags.length > 0 && !tags.some((tag) => allTags.includes(tag))) {
+        return false;
+      }
+
+      return !excludeTags.some((tag) => metadata.tags.includes(tag));
+    });
+  }
+
+  // order scenarios so that each one comes after the scenarios it
+  // `dependsOn`, pulling in dependencies that are not in the list. Returns
+  // the order and every scenario's direct dependencies; throws on unknown
+  // dependencies and on cycles
+  resolveRunOrder(scenarioNames) {
+    const available = new Set(this.listScenarios());
+    const order = [];
+    const dependencies = new Map();
+
+    const visit = (scenarioName, chain) => {
+      if (chain.includes(scenarioName)) {
+        throw new Error(
+          `Scenario dependency cycle detected: ${[...chain, scenarioName].join(
+            " -> "
+          )}`
+        );
+      }
+      if (dependencies.has(scenarioName)) {
+        return;
+      }
+
+      let dependsOn = [];
+      try {
+        dependsOn = this.loadScenario(scenarioName).dependsOn || [];
+      } catch {
+        // an invalid scenario has no known dependencies; the error is
+        // reported when it runs
+      }
+
+      for (const dependency of dependsOn) {
+        if (!available.has(dependency)) {
+          throw new Error(
+            `Scenario '${scenarioName}' depends on unknown scenario '${dependency}'`
+          );
+        }
+        visit(dependency, [...chain, scenarioName]);
+      }
+
+      dependencies.set(scenarioName, dependsOn);
+      order.push(scenarioName);
+    };
+
+    scenarioNames.forEach((scenarioName) => visit(scenarioName, []));
+
+    return { order, dependencies };
+  }
 }
 
 module.exports = { ScenarioLoader };
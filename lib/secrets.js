@@ -0,0 +1,182 @@
+const util = require("util");
+
+const MASK = "***";
+const MASKED_METHODS = ["log", "info", "warn", "error", "debug"];
+
+// shorter values would mask unrelated text (ids, counts, flags)
+const MIN_SECRET_LENGTH = 4;
+
+// secret text -> how many scopes currently mask it
+const secretValues = new Map();
+// one pattern matching every secret, longest first so that a secret
+// containing another is masked whole; rebuilt on the next use after the
+// secrets change
+let secretPattern = null;
+let installed = false;
+const originalMethods = {};
+const maskingMethods = {};
+
+// the texts to mask for `value`: leaf values of objects and arrays, each as
+// is and as it appears in urls and query strings
+function secretTexts(value, texts = new Set()) {
+  if (value === undefined || value === null) {
+    return texts;
+  }
+
+  if (typeof value === "object") {
+    Object.values(value).forEach((item) => secretTexts(item, texts));
+    return texts;
+  }
+
+  const text = String(value);
+  if (text.length >= MIN_SECRET_LENGTH) {
+    texts.add(text);
+    texts.add(encodeURIComponent(text));
+  }
+  return texts;
+}
+
+// values masked until `release()`, e.g. for the length of one run, so that
+// the secrets of finished runs stop costing time on every console call
+class SecretScope {
+  constructor() {
+    this.texts = new Set();
+  }
+
+  add(value) {
+    for (const text of secretTexts(value)) {
+      if (this.texts.has(text)) {
+        continue;
+      }
+      this.texts.add(text);
+      secretValues.set(text, (secretValues.get(text) || 0) + 1);
+      secretPattern = null;
+    }
+
+    if (secretValues.size > 0) {
+      installConsoleMasking();
+    }
+  }
+
+  release() {
+    for (const text of this.texts) {
+      const count = secretValues.get(text) - 1;
+      if (count > 0) {
+        secretValues.set(text, count);
+      } else {
+        secretValues.delete(text);
+      }
+    }
+    this.texts.clear();
+    secretPattern = null;
+
+    if (secretValues.size === 0) {
+      uninstallConsoleMasking();
+    }
+  }
+}
+
+// secrets added outside of a run are masked for as long as the process runs
+const processSecrets = new SecretScope();
+
+// mask `value` from now on; objects and arrays have their leaf values added
+function addSecret(value) {
+  processSecrets.add(value);
+}
+
+function hasSecrets() {
+  return secretValues.size > 0;
+}
+
+function redactText(text) {
+  if (secretValues.size === 0 || typeof text !== "string") {
+    return text;
+  }
+
+  if (!secretPattern) {
+    const secrets = [...secretValues.keys()].sort(
+      (a, b) => b.length - a.length
+    );
+    secretPattern = new RegExp(
+      secrets
+        .map((secret) => secret.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("|"),
+      "g"
+    );
+  }
+
+  return text.replace(secretPattern, MASK);
+}
+
+// a copy of `value` with secrets masked in every string it contains
+function redact(value) {
+  if (secretValues.size === 0) {
+    return value;
+  }
+
+  if (typeof value === "string") {
+    return redactText(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = redact(item);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+// while there is something to mask, console output is formatted as usual
+// and then masked before it is written
+function installConsoleMasking() {
+  if (installed) {
+    return;
+  }
+  installed = true;
+
+  for (const method of MASKED_METHODS) {
+    const original = console[method];
+    originalMethods[method] = original;
+    maskingMethods[method] = (...args) => {
+      if (secretValues.size === 0 || args.length === 0) {
+        original.apply(console, args);
+        return;
+      }
+
+      original.call(console, redactText(util.format(...args)));
+    };
+    console[method] = maskingMethods[method];
+  }
+}
+
+// put the console back once nothing is masked, unless something else has
+// wrapped it since (then masking stays in place, as a pass-through)
+function uninstallConsoleMasking() {
+  if (
+    !installed ||
+    MASKED_METHODS.some((method) => console[method] !== maskingMethods[method])
+  ) {
+    return;
+  }
+  installed = false;
+
+  for (const method of MASKED_METHODS) {
+    console[method] = originalMethods[method];
+  }
+}
+
+module.exports = {
+  SecretScope,
+  addSecret,
+  hasSecrets,
+  redact,
+  redactText,
+  MASK,
+};
@@ -0,0 +1,46 @@
+const { RandomDataGenerators } = require("./extractor");
+const random = require("./random");
+
+const OFFSET_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// now, moved by an offset such as "+3d", "-2h" or "30m"
+function offsetDate(offset) {
+  if (offset === undefined || offset === "") {
+    return new Date();
+  }
+
+  const match = /^([+-]?\d+)([smhdw])$/.exec(String(offset).trim());
+  if (!match) {
+    throw new Error(
+      `Invalid date offset '${offset}' (expected something like +3d, -2h or 30m)`
+    );
+  }
+
+  return new Date(Date.now() + Number(match[1]) * OFFSET_UNITS[match[2]]);
+}
+
+const builtInFunctions = {
+  ...RandomDataGenerators,
+
+  uuid: RandomDataGenerators.randomUUID,
+  uuidv7: RandomDataGenerators.randomUUIDv7,
+  // unix time in seconds
+  timestamp: () => Math.floor(Date.now() / 1000),
+  isoDate: (offset) => offsetDate(offset).toISOString(),
+
+  // an integer from min to max, both included
+  randomInt: (min = 0, max = 100) => {
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+      throw new Error(`Invalid range ${min}..${max}`);
+    }
+    return random.randomInt(min, max);
+  },
+};
+
+module.exports = { builtInFunctions, offsetDate };
@@ -0,0 +1,510 @@
+const { builtInFunctions } = require("./template-functions");
+
+// `{{ expression }}`, a flat `{name}` placeholder, or a `{$function}` call
+const PLACEHOLDER =
+  /\{\{\s*([\s\S]+?)\s*\}\}|\{([A-Za-z0-9-_.]+)\}|\{\$([A-Za-z_]\w*)(?:\(([^()]*)\))?\}/g;
+
+// a `$function(args)` call at the start of an expression
+const FUNCTION_CALL = /^\$([A-Za-z_]\w*)(?:\(([\s\S]*)\))?$/;
+
+// one path segment: `.name` (the dot is optional at the start), `[0]` or
+// `["quoted key"]`
+const PATH_SEGMENT = /\.?([^.[\]\s"']+)|\[(\d+)\]|\[(["'])(.*?)\3\]/y;
+
+const builtInFilters = {
+  default: (value, fallback) =>
+    value === undefined || value === null ? fallback : value,
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  json: (value) => JSON.stringify(value),
+  base64: (value) => Buffer.from(String(value)).toString("base64"),
+  urlencode: (value) => encodeURIComponent(String(value)),
+  date: (value, format) => formatDate(value, format),
+};
+
+class TemplateEngine {
+  constructor(options = {}) {
+    this.filters = new Map(Object.entries(builtInFilters));
+    this.functions = new Map(Object.entries(builtInFunctions));
+
+    // what `env.NAME` reads, at the time the template is rendered
+    this.env = options.env || process.env;
+  }
+
+  addFilter(name, filterFn) {
+    this.filters.set(name, filterFn);
+  }
+
+  addFunction(name, fn) {
+    this.functions.set(name, fn);
+  }
+
+  // replace every placeholder in a string. `{{ }}` expressions that name an
+  // unknown variable throw; flat `{name}` placeholders without a value are
+  // left as they are
+  render(text, context) {
+    return text.replace(
+      PLACEHOLDER,
+      (match, expression, name, functionName, argText) => {
+        if (functionName !== undefined) {
+          return this.stringify(this.call(functionName, argText, match));
+        }
+
+        if (expression === undefined) {
+          const { found, value } = this.lookupFlat(name, context, match);
+          return found ? this.stringify(value) : match;
+        }
+
+        return this.stringify(this.evaluate(expression, context, match));
+      }
+    );
+  }
+
+  // like render, except that a string holding nothing but one placeholder
+  // resolves to the value itself, keeping its type (number, boolean, array,
+  // object, ...)
+  resolve(text, context) {
+    const matches = [...text.matchAll(PLACEHOLDER)];
+    if (matches.length !== 1 || matches[0][0] !== text) {
+      return this.render(text, context);
+    }
+
+    const [, expression, name, functionName, argText] = matches[0];
+    if (functionName !== undefined) {
+      return this.call(functionName, argText, text);
+    }
+    if (expression === undefined) {
+      const { found, value } = this.lookupFlat(name, context, text);
+      return found ? value : text;
+    }
+
+    return this.evaluate(expression, context, text);
+  }
+
+  // the value of an expression: a variable path (or a quoted string, number,
+  // true, false or null) followed by `| filter` or `| filter: arg, ...`
+  evaluate(expression, context, source = `{{ ${expression} }}`) {
+    const { head, filters } = this.parse(expression, source);
+
+    let value;
+    const term = this.parseLiteral(head);
+    const call = FUNCTION_CALL.exec(head);
+    if (term.literal) {
+      value = term.value;
+    } else if (call) {
+      value = this.call(call[1], call[2], source);
+    } else {
+      const { found, value: resolved, problem } = this.lookup(head, context);
+      if (!found && !filters.some((filter) => filter.name === "default")) {
+        throw new Error(
+          `Unknown variable '${head}' in ${source}: ${problem}. Use '| default: ...' if it is optional`
+        );
+      }
+      value = resolved;
+    }
+
+    for (const { name, args } of filters) {
+      const filterFn = this.filters.get(name);
+      if (!filterFn) {
+        throw new Error(
+          `Unknown filter '${name}' in ${source} (available: ${[
+            ...this.filters.keys(),
+          ].join(", ")})`
+        );
+      }
+
+      const values = args.map((arg) => this.evaluateArgument(arg, context));
+      try {
+        value = filterFn(value, ...values);
+      } catch (error) {
+        throw new Error(
+          `Filter '${name}' failed in ${source}: ${error.message}`
+        );
+      }
+    }
+
+    return value;
+  }
+
+  // flat `{name}` placeholders without a value are left alone, except for
+  // environment variables, which are always meant to be filled in
+  lookupFlat(name, context, source) {
+    const result = this.lookup(name, context);
+    if (!result.found && this.readsEnv(name, context)) {
+      throw new Error(
+        `Unknown variable '${name}' in ${source}: ${result.problem}`
+      );
+    }
+    return result;
+  }
+
+  // whether a path starts at the process environment: `env.NAME`, unless
+  // the context has a variable of its own called env
+  readsEnv(path, context) {
+    return (
+      /^env[.[]/.test(path) &&
+      !Object.prototype.hasOwnProperty.call(context, "env")
+    );
+  }
+
+  // call a template function; its arguments are literals, and unquoted text
+  // is taken as a string, so `$randomEmail(acme.com)` works as written
+  call(name, argText, source) {
+    const fn = this.functions.get(name);
+    if (!fn) {
+      throw new Error(
+        `Unknown template function '$${name}' in ${source} (available: ${[
+          ...this.functions.keys(),
+        ]
+          .map((functionName) => `$${functionName}`)
+          .join(", ")})`
+      );
+    }
+
+    const args =
+      argText === undefined || !argText.trim()
+        ? []
+        : splitOutsideQuotes(argText, ",").map((arg) => {
+            const term = this.parseLiteral(arg.trim());
+            return term.literal ? term.value : arg.trim();
+          });
+
+    try {
+      return fn(...args);
+    } catch (error) {
+      throw new Error(
+        `Template function '$${name}' failed in ${source}: ${error.message}`
+      );
+    }
+  }
+
+  // a filter argument is a literal or a variable path
+  evaluateArgument(arg, context) {
+    const term = this.parseLiteral(arg);
+    if (term.literal) {
+      return term.value;
+    }
+
+    const { found, value, problem } = this.lookup(arg, context);
+    if (!found) {
+      throw new Error(`Unknown variable '${arg}': ${problem}`);
+    }
+    return value;
+  }
+
+  parse(expression, source = expression) {
+    const [head, ...filterParts] = splitOutsideQuotes(expression, "|");
+    if (!head.trim()) {
+      throw new Error(`Empty expression in ${source}`);
+    }
+
+    const filters = filterParts.map((part) => {
+      const [name, argText] = splitOutsideQuotes(part, ":", 2);
+      if (!name.trim()) {
+        throw new Error(`Missing filter name in ${source}`);
+      }
+
+      return {
+        name: name.trim(),
+        args:
+          argText === undefined
+            ? []
+            : splitOutsideQuotes(argText, ",").map((arg) => arg.trim()),
+      };
+    });
+
+    return { head: head.trim(), filters };
+  }
+
+  parseLiteral(text) {
+    if (/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+      return { literal: true, value: JSON.parse(text) };
+    }
+    if (/^'[^']*'$/.test(text)) {
+      return { literal: true, value: text.slice(1, -1) };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+      return { literal: true, value: Number(text) };
+    }
+    if (text === "true" || text === "false" || text === "null") {
+      return { literal: true, value: JSON.parse(text) };
+    }
+
+    return { literal: false };
+  }
+
+  // resolve a variable path such as `user.address.city` or `items[0].id`: a
+  // context key holding the whole path wins (so flat names like "user.id"
+  // keep working), then the path is walked. Resolves with `found` and the
+  // `value`, or with the `problem` that stopped the walk
+  lookup(path, context) {
+    if (
+      Object.prototype.hasOwnProperty.call(context, path) &&
+      context[path] !== undefined
+    ) {
+      return { found: true, value: context[path] };
+    }
+
+    const segments = this.parsePath(path);
+    let current = this.readsEnv(path, context) ? { env: this.env } : context;
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const walked = formatPath(segments.slice(0, i));
+
+      if (current === null || current === undefined) {
+        return { found: false, problem: `'${walked}' is ${current}` };
+      }
+
+      if (!this.hasSegment(current, segment)) {
+        return {
+          found: false,
+          problem: this.describeMissing(walked, segment, current),
+        };
+      }
+
+      current = current[segment];
+    }
+
+    if (current === undefined) {
+      return { found: false, problem: `'${path}' is undefined` };
+    }
+    return { found: true, value: current };
+  }
+
+  // own properties only, so that `user.constructor` or `user.toString` is an
+  // unknown variable rather than something inherited from Object. Arrays and
+  // strings have their indexes and `length`
+  hasSegment(current, segment) {
+    if (Array.isArray(current) || typeof current === "string") {
+      if (segment === "length") {
+        return true;
+      }
+      const index = Number(segment);
+      return Number.isInteger(index) && index >= 0 && index < current.length;
+    }
+
+    return Object.prototype.hasOwnProperty.call(current, segment);
+  }
+
+  parsePath(path) {
+    const segments = [];
+    let index = 0;
+
+    while (index < path.length) {
+      PATH_SEGMENT.lastIndex = index;
+      const match = PATH_SEGMENT.exec(path);
+      if (!match || (index === 0 && path.startsWith("."))) {
+        throw new Error(`Invalid variable path '${path}'`);
+      }
+
+      if (match[1] !== undefined) {
+        segments.push(match[1]);
+      } else if (match[2] !== undefined) {
+        segments.push(Number(match[2]));
+      } else {
+        segments.push(match[4]);
+      }
+      index = PATH_SEGMENT.lastIndex;
+    }
+
+    return segments;
+  }
+
+  describeMissing(walked, segment, current) {
+    if (current === this.env) {
+      return `environment variable '${segment}' is not set`;
+    }
+    if (Array.isArray(current) && typeof segment === "number") {
+      return `'${walked}' has ${current.length} items`;
+    }
+
+    const keys = Object.keys(Object(current));
+    const where = walked
+      ? `'${walked}' has no '${segment}'`
+      : `'${segment}' is not in the context`;
+    const suggestion = closestMatch(String(segment), keys);
+
+    if (suggestion) {
+      return `${where} (did you mean '${suggestion}'?)`;
+    }
+    if (walked && keys.length > 0 && keys.length <= 10) {
+      return `${where} (it has: ${keys.join(", ")})`;
+    }
+    return where;
+  }
+
+  // names of the variables a string refers to, leaving out expressions that
+  // have a default. Every leading part of a path is listed, so that
+  // `steps.login.body.token` also gives `steps` and `steps.login`
+  references(text, names = new Set()) {
+    for (const [, expression, name, functionName] of text.matchAll(
+      PLACEHOLDER
+    )) {
+      if (functionName !== undefined) {
+        continue;
+      }
+      if (expression === undefined) {
+        const parts = name.split(".");
+        parts.forEach((_, i) => names.add(parts.slice(0, i + 1).join(".")));
+        continue;
+      }
+
+      try {
+        const { head, filters } = this.parse(expression);
+        const terms = filters.some((filter) => filter.name === "default")
+          ? []
+          : [head];
+        filters.forEach((filter) => terms.push(...filter.args));
+
+        for (const term of terms) {
+          if (!this.parseLiteral(term).literal && !FUNCTION_CALL.test(term)) {
+            const segments = this.parsePath(term);
+            segments.forEach((_, i) =>
+              names.add(formatPath(segments.slice(0, i + 1)))
+            );
+          }
+        }
+      } catch {
+        // malformed expressions are reported when they are rendered
+      }
+    }
+
+    return names;
+  }
+
+  // how a value reads inside a larger string: dates as ISO strings, other
+  // objects and arrays as JSON
+  stringify(value) {
+    if (value === undefined || value === null) {
+      return "";
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === "object") {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+}
+
+// split on `separator` where it is not inside single or double quotes, into
+// at most `limit` parts
+function splitOutsideQuotes(text, separator, limit = Infinity) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === "\\" && quote === '"') {
+        current += char + (text[i + 1] ?? "");
+        i++;
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator && parts.length < limit - 1) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+function formatPath(segments) {
+  return segments
+    .map((segment, i) =>
+      typeof segment === "number"
+        ? `[${segment}]`
+        : `${i === 0 ? "" : "."}${segment}`
+    )
+    .join("");
+}
+
+// the candidate closest to `name` by edit distance, if it is close enough
+// to be a likely typo
+function closestMatch(name, candidates) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = row;
+  }
+
+  return previous[b.length];
+}
+
+// `format` is "iso" (the default), "unix" (seconds), "ms", or a pattern
+// made of YYYY, MM, DD, HH, mm, ss and SSS (in UTC)
+function formatDate(value, format = "iso") {
+  const date =
+    value instanceof Date
+      ? value
+      : new Date(
+          typeof value === "string" && /^\d+$/.test(value)
+            ? Number(value)
+            : value
+        );
+
+  if (value === undefined || value === null || isNaN(date.getTime())) {
+    throw new Error(`'${value}' is not a date`);
+  }
+
+  switch (format) {
+    case "iso":
+      return date.toISOString();
+    case "unix":
+      return Math.floor(date.getTime() / 1000);
+    case "ms":
+      return date.getTime();
+  }
+
+  const pad = (number, width = 2) => String(number).padStart(width, "0");
+  const tokens = {
+    YYYY: date.getUTCFullYear(),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+    SSS: pad(date.getUTCMilliseconds(), 3),
+  };
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, (token) => tokens[token]);
+}
+
+module.exports = { TemplateEngine };
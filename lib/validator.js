@@ -44,13 +44,15 @@ class Validator {
     };
   }
 
-  async validate(validator, response) {
+  // `context` (the scenario's variables and step outputs) is passed on to
+  // validation functions after the response
+  async validate(validator, response, context = {}) {
     try {
       let result;
 
       if (typeof validator === "function") {
         // Custom validation function
-        result = await validator(response);
+        result = await validator(response, context);
       } else if (
         typeof validator === "string" &&
         this.builtInValidators[validator]
@@ -59,7 +61,7 @@ class Validator {
         result = this.builtInValidators[validator](response);
       } else if (typeof validator === "object" && validator !== null) {
         // Validation object with multiple checks
-        result = await this.validateObject(validator, response);
+        result = await this.validateObject(validator, response, context);
       } else {
         console.warn(
           `Invalid validator type: ${typeof validator}. Expected function, string, or object.`
@@ -81,9 +83,9 @@ class Validator {
     }
   }
 
-  async validateObject(validatorObj, response) {
+  async validateObject(validatorObj, response, context = {}) {
     for (const [key, validator] of Object.entries(validatorObj)) {
-      const isValid = await this.validate(validator, response);
+      const isValid = await this.validate(validator, response, context);
       if (!isValid) {
         console.error(`Validation failed for: ${key}`);
         return false;
@@ -132,7 +134,7 @@ class Validator {
         }
 
         for (const field of schema.required) {
-          if (!data.hasOwnProperty(field)) {
+          if (!Object.prototype.hasOwnProperty.call(data, field)) {
             console.error(
               `Schema validation failed at ${path}: missing required field '${field}'`
             );
@@ -144,7 +146,7 @@ class Validator {
       // properties validation
       if (schema.properties && typeof data === "object" && data !== null) {
         for (const [prop, propSchema] of Object.entries(schema.properties)) {
-          if (data.hasOwnProperty(prop)) {
+          if (Object.prototype.hasOwnProperty.call(data, prop)) {
             const isValid = this.validateSchemaRecursive(
               propSchema,
               data[prop],
@@ -353,6 +355,15 @@ const validators = {
     const actualType = Array.isArray(value) ? "array" : typeof value;
     return actualType === expectedType;
   },
+  // compare with a context variable or an earlier step's output, e.g.
+  // fieldEqualsVariable("id", "steps.createUser.body.id")
+  fieldEqualsVariable: (fieldPath, variablePath) => (response, context) => {
+    const expected = getNestedValue(context, variablePath);
+    return (
+      expected !== undefined &&
+      getNestedValue(response.data, fieldPath) === expected
+    );
+  },
 
   // array validators
   arrayLength: (expectedLength) => (response) => {
@@ -420,10 +431,10 @@ const validators = {
   // combination validators
   and:
     (...validators) =>
-    async (response) => {
+    async (response, context) => {
       const validator = new Validator();
       for (const v of validators) {
-        const result = await validator.validate(v, response);
+        const result = await validator.validate(v, response, context);
         if (!result) return false;
       }
       return true;
@@ -431,18 +442,22 @@ const validators = {
 
   or:
     (...validators) =>
-    async (response) => {
+    async (response, context) => {
       const validator = new Validator();
       for (const v of validators) {
-        const result = await validator.validate(v, response);
+        const result = await validator.validate(v, response, context);
         if (result) return true;
       }
       return false;
     },
 
-  not: (validatorToNegate) => async (response) => {
+  not: (validatorToNegate) => async (response, context) => {
     const validator = new Validator();
-    const result = await validator.validate(validatorToNegate, response);
+    const result = await validator.validate(
+      validatorToNegate,
+      response,
+      context
+    );
     return !result;
   },
 
@@ -46,15 +46,34 @@ module.exports = {
   // default configuration
   default: {
     timeout: 10000,
-    retries: 3,
-    retryDelay: 1000,
+    // abort a scenario whose steps take longer than this (teardown still runs)
+    // scenarioTimeout: 120000,
+    // retry network errors and 5xx responses up to 3 times, 1s apart;
+    // scenarios and steps can override this with their own `retry` policy.
+    // This resends POST and PATCH requests too, so only turn it on for APIs
+    // where repeating a request is safe
+    // retries: 3,
+    // retryDelay: 1000,
+    // or a full policy:
+    // retry: { attempts: 4, backoff: "exponential", baseDelay: 500, jitter: true, on: [429, "5xx", "ECONNRESET"] },
     requestDelay: 0,
     headers: {
       Accept: "application/json",
       "Content-Type": "application/json",
+      // read from the environment when each request is sent
+      // Authorization: "Bearer {env.API_TOKEN}",
     },
   },
 
+  // run once per `run` / `run-all` around all the scenarios: the name of a
+  // scenario or the path of a module (relative to this file). What the setup
+  // exports is available to every scenario; teardown always runs
+  // globalSetup: "global-setup",
+  // globalTeardown: "./hooks/global-teardown.js",
+
+  // variables (or env.NAME) whose values are shown as *** in all output
+  // secrets: ["env.API_KEY", "authToken"],
+
   // authentication settings
   auth: {
     // api key authentication
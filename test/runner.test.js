@@ -0,0 +1,235 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { ScenarioRunner } = require("../lib/runner");
+const { ScenarioFailedError } = require("../lib/errors");
+const { captureConsole } = require("../lib/console-capture");
+
+// a small API: /fail answers 500, /slow?ms= answers late, POST /users
+// creates a user and everything else echoes the request
+function startServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === "/fail") {
+      send(500, { error: "boom" });
+    } else if (url.pathname === "/slow") {
+      setTimeout(
+        () => send(200, { slow: true }),
+        Number(url.searchParams.get("ms"))
+      );
+    } else if (url.pathname === "/users" && req.method === "POST") {
+      send(201, { id: "user-1234" });
+    } else {
+      send(200, { method: req.method, path: url.pathname });
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+// run a scenario with its output kept off the test report; resolves with the
+// run result, whether the run passed or failed
+async function run(runner, scenario) {
+  const { result } = await captureConsole(async () => {
+    try {
+      return await runner.runScenarioConfig(scenario);
+    } catch (error) {
+      assert.ok(error instanceof ScenarioFailedError);
+      return error.result;
+    }
+  });
+  return result;
+}
+
+const statuses = (records) =>
+  records.map((record) => [record.step, record.status, record.reason]);
+
+describe("ScenarioRunner step accounting", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = await startServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const createRunner = (options = {}) =>
+    new ScenarioRunner({ baseUrl, seed: 1, ...options });
+
+  it("records the steps after a failed step as skipped", async () => {
+    const result = await run(createRunner(), {
+      name: "stops at failure",
+      steps: [
+        { name: "first", method: "GET", url: "/ok" },
+        { name: "broken", method: "GET", url: "/fail" },
+        { name: "third", method: "GET", url: "/ok" },
+        { name: "fourth", method: "GET", url: "/ok" },
+      ],
+    });
+
+    assert.strictEqual(result.status, "failed");
+    assert.deepStrictEqual(statuses(result.results), [
+      ["first", "passed", undefined],
+      ["broken", "failed", undefined],
+      ["third", "skipped", "previous step failed"],
+      ["fourth", "skipped", "previous step failed"],
+    ]);
+    assert.strictEqual(result.summary.total, 4);
+    assert.strictEqual(result.summary.skipped, 2);
+  });
+
+  it("blocks steps that need a variable a failed step never extracted", async () => {
+    const result = await run(createRunner({ continueOnError: true }), {
+      name: "blocking",
+      steps: [
+        {
+          name: "createUser",
+          method: "POST",
+          url: "/fail",
+          extract: { userId: "data.id" },
+        },
+        { name: "getUser", method: "GET", url: "/users/{userId}" },
+        { name: "deleteUser", method: "DELETE", url: "/users/{{ userId }}" },
+        { name: "independent", method: "GET", url: "/ok" },
+      ],
+    });
+
+    assert.deepStrictEqual(statuses(result.results), [
+      ["createUser", "failed", undefined],
+      ["getUser", "blocked", "needs 'userId' from 'createUser'"],
+      ["deleteUser", "blocked", "needs 'userId' from 'createUser'"],
+      ["independent", "passed", undefined],
+    ]);
+    assert.strictEqual(result.summary.blocked, 2);
+  });
+
+  it("blocks steps that use the outputs of a failed step", async () => {
+    const result = await run(createRunner({ continueOnError: true }), {
+      name: "failed outputs",
+      steps: [
+        { name: "broken", method: "GET", url: "/fail" },
+        {
+          name: "useOutput",
+          method: "GET",
+          url: "/users/{steps.broken.response.data.error}",
+        },
+      ],
+    });
+
+    assert.deepStrictEqual(statuses(result.results), [
+      ["broken", "failed", undefined],
+      ["useOutput", "blocked", "needs 'steps.broken' from 'broken'"],
+    ]);
+  });
+
+  it("lets steps use the variables a passing step extracted", async () => {
+    const result = await run(createRunner(), {
+      name: "extraction",
+      steps: [
+        {
+          name: "createUser",
+          method: "POST",
+          url: "/users",
+          extract: { userId: "data.id" },
+        },
+        { name: "getUser", method: "GET", url: "/users/{userId}" },
+      ],
+    });
+
+    assert.strictEqual(result.status, "passed");
+    assert.strictEqual(
+      result.results[1].response.data.path,
+      "/users/user-1234"
+    );
+  });
+
+  it("records the steps a stopped run never reached as skipped", async () => {
+    const runner = createRunner();
+    runner.on("step:start", ({ step }) => {
+      if (step === "second") {
+        runner.stop("stopped by the test");
+      }
+    });
+
+    const result = await run(runner, {
+      name: "stopped",
+      steps: [
+        { name: "first", method: "GET", url: "/ok" },
+        { name: "second", method: "GET", url: "/ok" },
+        { name: "third", method: "GET", url: "/ok" },
+      ],
+    });
+
+    assert.deepStrictEqual(statuses(result.results), [
+      ["first", "passed", undefined],
+      ["second", "passed", undefined],
+      ["third", "skipped", "run stopped"],
+    ]);
+  });
+
+  it("records the steps an aborted run skips, with the abort reason", async () => {
+    const runner = createRunner();
+    runner.on("step:start", ({ step }) => {
+      if (step === "slow") {
+        setTimeout(() => runner.abort("environment unhealthy"), 50);
+      }
+    });
+
+    const result = await run(runner, {
+      name: "aborted",
+      steps: [
+        { name: "first", method: "GET", url: "/ok" },
+        { name: "slow", method: "GET", url: "/slow?ms=2000" },
+        { name: "third", method: "GET", url: "/ok" },
+      ],
+    });
+
+    assert.strictEqual(result.status, "aborted");
+    assert.deepStrictEqual(
+      result.results.map((record) => [record.step, record.status]),
+      [
+        ["first", "passed"],
+        ["slow", "aborted"],
+        ["third", "skipped"],
+      ]
+    );
+    assert.strictEqual(
+      result.results[2].reason,
+      "run aborted: environment unhealthy"
+    );
+  });
+
+  it("skips teardown steps that need a variable the main steps never provided", async () => {
+    const result = await run(createRunner(), {
+      name: "teardown",
+      steps: [
+        {
+          name: "createUser",
+          method: "POST",
+          url: "/fail",
+          extract: { userId: "data.id" },
+        },
+      ],
+      teardown: [
+        { name: "deleteUser", method: "DELETE", url: "/users/{userId}" },
+        { name: "cleanUp", method: "DELETE", url: "/sessions" },
+      ],
+    });
+
+    assert.deepStrictEqual(statuses(result.teardown), [
+      ["deleteUser", "skipped", "needs 'userId' from 'createUser'"],
+      ["cleanUp", "passed", undefined],
+    ]);
+  });
+});
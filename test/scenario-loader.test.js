@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ScenarioLoader } = require("../lib/scenario-loader");
+
+describe("ScenarioLoader.parseCsv", () => {
+  const loader = new ScenarioLoader();
+
+  it("turns rows into objects keyed by the header row", () => {
+    assert.deepStrictEqual(
+      loader.parseCsv("email,age\na@x.io,17\nb@x.io,30\n"),
+      [
+        { email: "a@x.io", age: "17" },
+        { email: "b@x.io", age: "30" },
+      ]
+    );
+  });
+
+  it("handles quoted fields with commas, quotes and line breaks", () => {
+    const csv = 'name,note\n"Doe, Jane","said ""hi""\nand left"\n';
+    assert.deepStrictEqual(loader.parseCsv(csv), [
+      { name: "Doe, Jane", note: 'said "hi"\nand left' },
+    ]);
+  });
+
+  it("accepts CRLF line endings, a BOM and a missing final newline", () => {
+    assert.deepStrictEqual(loader.parseCsv("\uFEFFa,b\r\n1,2\r\n3,4"), [
+      { a: "1", b: "2" },
+      { a: "3", b: "4" },
+    ]);
+  });
+
+  it("skips blank lines and trims header names", () => {
+    assert.deepStrictEqual(loader.parseCsv(" a , b\n\n1,2\n\n"), [
+      { a: "1", b: "2" },
+    ]);
+  });
+
+  it("fills missing trailing values with empty strings", () => {
+    assert.deepStrictEqual(loader.parseCsv("a,b,c\n1\n"), [
+      { a: "1", b: "", c: "" },
+    ]);
+  });
+
+  it("returns no rows for an empty file or a header alone", () => {
+    assert.deepStrictEqual(loader.parseCsv(""), []);
+    assert.deepStrictEqual(loader.parseCsv("a,b\n"), []);
+  });
+});
+
+describe("ScenarioLoader datasets", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "asr-loader-"));
+    fs.mkdirSync(path.join(dir, "data"));
+    fs.writeFileSync(path.join(dir, "data", "users.csv"), "email\na@x.io\n");
+    fs.writeFileSync(
+      path.join(dir, "data", "users.json"),
+      JSON.stringify([{ email: "b@x.io" }])
+    );
+    fs.writeFileSync(
+      path.join(dir, "signup.js"),
+      `module.exports = {
+        name: "signup",
+        dataset: "./data/users.csv",
+        steps: [{ name: "s", method: "GET", url: "/" }],
+      };`
+    );
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads CSV and JSON files and inline arrays", () => {
+    const loader = new ScenarioLoader(dir);
+    assert.deepStrictEqual(
+      loader.loadDataset(path.join(dir, "data", "users.csv")),
+      [{ email: "a@x.io" }]
+    );
+    assert.deepStrictEqual(
+      loader.loadDataset(path.join(dir, "data", "users.json")),
+      [{ email: "b@x.io" }]
+    );
+    assert.deepStrictEqual(loader.loadDataset([{ id: 1 }]), [{ id: 1 }]);
+  });
+
+  it("rejects missing files, other file types and rows that are not objects", () => {
+    const loader = new ScenarioLoader(dir);
+    assert.throws(
+      () => loader.loadDataset(path.join(dir, "nope.csv")),
+      /Dataset file not found/
+    );
+    assert.throws(
+      () => loader.loadDataset(path.join(dir, "signup.js")),
+      /unsupported file type/
+    );
+    assert.throws(() => loader.loadDataset([1]), /row 1 must be an object/);
+  });
+
+  it("resolves a scenario's dataset path against the scenario file", () => {
+    const loader = new ScenarioLoader(dir);
+    const scenario = loader.loadScenario("signup");
+    assert.strictEqual(scenario.dataset, path.join(dir, "data", "users.csv"));
+    assert.deepStrictEqual(loader.loadDataset(scenario.dataset), [
+      { email: "a@x.io" },
+    ]);
+  });
+});
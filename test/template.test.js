@@ -0,0 +1,149 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { TemplateEngine } = require("../lib/template");
+
+describe("TemplateEngine.render", () => {
+  const engine = new TemplateEngine({ env: { API_TOKEN: "tok-123" } });
+  const context = {
+    user: { name: "Ada", address: { city: "London" }, roles: ["admin", "dev"] },
+    "order.id": "flat-42",
+    count: 0,
+  };
+
+  it("fills in nested paths and array indexes", () => {
+    assert.strictEqual(
+      engine.render(
+        "{{ user.name }} lives in {{ user.address.city }} as {{ user.roles[1] }}",
+        context
+      ),
+      "Ada lives in London as dev"
+    );
+    assert.strictEqual(engine.render("{{ user.roles.0 }}", context), "admin");
+    assert.strictEqual(engine.render("{{ user.roles.length }}", context), "2");
+  });
+
+  it("prefers a flat context key holding the whole path", () => {
+    assert.strictEqual(engine.render("{order.id}", context), "flat-42");
+    assert.strictEqual(engine.render("{{ order.id }}", context), "flat-42");
+  });
+
+  it("applies filters, with arguments and defaults", () => {
+    assert.strictEqual(
+      engine.render("{{ user.name | upper }}", context),
+      "ADA"
+    );
+    assert.strictEqual(
+      engine.render("{{ missing | default: 'anon' | upper }}", context),
+      "ANON"
+    );
+    assert.strictEqual(engine.render("{{ count | default: 5 }}", context), "0");
+    assert.strictEqual(
+      engine.render("{{ 'a b&c' | urlencode }}", context),
+      "a%20b%26c"
+    );
+  });
+
+  it("writes objects and arrays embedded in text as JSON", () => {
+    assert.strictEqual(
+      engine.render("roles={{ user.roles }}", context),
+      'roles=["admin","dev"]'
+    );
+  });
+
+  it("throws on unknown {{ }} variables and leaves flat ones alone", () => {
+    assert.throws(
+      () => engine.render("/users/{{ userId }}", context),
+      /Unknown variable 'userId'/
+    );
+    assert.throws(
+      () => engine.render("{{ user.roles[5] }}", context),
+      /'user.roles' has 2 items/
+    );
+    assert.strictEqual(
+      engine.render("/users/{userId}", context),
+      "/users/{userId}"
+    );
+  });
+
+  it("does not resolve properties inherited from Object", () => {
+    for (const path of [
+      "user.constructor",
+      "user.toString",
+      "user.roles.map",
+    ]) {
+      assert.throws(
+        () => engine.render(`{{ ${path} }}`, context),
+        new RegExp(`Unknown variable '${path.replace(/\./g, "\\.")}'`)
+      );
+    }
+  });
+
+  it("throws on unknown filters", () => {
+    assert.throws(
+      () => engine.render("{{ user.name | shout }}", context),
+      /Unknown filter 'shout'/
+    );
+  });
+
+  it("reads env.NAME from its environment and requires it to be set", () => {
+    assert.strictEqual(
+      engine.render("Bearer {env.API_TOKEN}", context),
+      "Bearer tok-123"
+    );
+    assert.throws(
+      () => engine.render("{env.MISSING}", context),
+      /Unknown variable 'env.MISSING'/
+    );
+  });
+
+  it("calls template functions and custom filters", () => {
+    const custom = new TemplateEngine();
+    custom.addFilter("twice", (value) => `${value}${value}`);
+    custom.addFunction("answer", () => 42);
+
+    assert.strictEqual(custom.render("{{ 'ab' | twice }}", {}), "abab");
+    assert.strictEqual(custom.render("n={$answer}", {}), "n=42");
+    assert.throws(
+      () => custom.render("{$nope}", {}),
+      /Unknown template function/
+    );
+  });
+});
+
+describe("TemplateEngine.resolve", () => {
+  const engine = new TemplateEngine();
+  const context = { id: 7, active: false, tags: ["a"], user: { id: 1 } };
+
+  it("keeps the type of a value that is the whole string", () => {
+    assert.strictEqual(engine.resolve("{id}", context), 7);
+    assert.strictEqual(engine.resolve("{{ active }}", context), false);
+    assert.deepStrictEqual(engine.resolve("{{ tags }}", context), ["a"]);
+    assert.deepStrictEqual(engine.resolve("{user}", context), { id: 1 });
+  });
+
+  it("renders to a string when the placeholder is part of the text", () => {
+    assert.strictEqual(engine.resolve("id-{id}", context), "id-7");
+    assert.strictEqual(engine.resolve(" {{ id }}", context), " 7");
+  });
+});
+
+describe("TemplateEngine.references", () => {
+  it("lists every variable and path prefix a text refers to", () => {
+    const engine = new TemplateEngine();
+    assert.deepStrictEqual(
+      [
+        ...engine.references(
+          "/u/{userId}/{{ steps.create.response.data.id }}?q={{ q | default: 1 }}"
+        ),
+      ],
+      [
+        "userId",
+        "steps",
+        "steps.create",
+        "steps.create.response",
+        "steps.create.response.data",
+        "steps.create.response.data.id",
+      ]
+    );
+  });
+});